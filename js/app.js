@@ -2,19 +2,24 @@
 // Initializes Firebase auth, all modules, sets up navigation,
 // starts data polling, and wires up the hook system for live updates.
 
-import { API } from './config.js';
+import { API, PROJECTION } from './config.js';
 import { emit, on, HookEvents } from './services/hooks.js';
-import { fullSync, clearCache } from './services/api.js';
-import { saveCachedResults, saveLastSync, loadLastSync, hydrateFromCloud, clearAllData, loadGuestProfile, saveGuestProfile } from './services/storage.js';
-import { processRaceWeekend } from './scoring/engine.js';
+import {
+  fullSync, clearCache, fetchPitStops, fetchPitStopOverrides, fetchLaps, fetchCircuitResults,
+} from './services/api.js';
+import { countOvertakes } from './scoring/engine.js';
+import { applyLeagueScoring } from './scoring/rulesets.js';
+import { applyPriceHistory } from './scoring/prices.js';
+import { loadCachedResults, saveCachedResults, saveLastSync, loadLastSync, hydrateFromCloud, clearAllData, loadGuestProfile, saveGuestProfile, loadLeagueScoringCache, saveLeagueScoringCache, loadPriceHistory } from './services/storage.js';
+import { buildRaceWeekends, runScoringPipeline } from './services/scoring-pipeline.js';
 import { initTeam } from './models/team.js';
-import { initDashboard, renderPointsChart } from './ui/dashboard.js';
+import { initDashboard, renderPointsChart, renderValueChart } from './ui/dashboard.js';
 import { initTeamUI } from './ui/team.js';
 import { initViews } from './ui/views.js';
 import {
   initFirebase, onAuthChanged, loadCurrentProfile, isAdmin,
   getCachedProfile, loadTeamFromCloud, logout, getAnnouncements,
-  updateDisplayName, changeUserPassword,
+  updateDisplayName, changeUserPassword, loadRoundSettings, loadLeagueScoring,
 } from './services/auth.js';
 import { initAuthUI } from './ui/auth.js';
 import { initLeaderboard, renderLeaderboard } from './ui/leaderboard.js';
@@ -27,6 +32,7 @@ import { initDriverProfile } from './ui/driverProfile.js';
 import { initConstructorProfile } from './ui/constructorProfile.js';
 import { initUserProfile } from './ui/userProfile.js';
 import { initRaceProfile } from './ui/raceProfile.js';
+import { initScoreExplainer } from './ui/scoreExplainer.js';
 
 // ===== DOM References =====
 
@@ -119,7 +125,12 @@ function _doSwitchView(viewName) {
     _activateSubView(viewName, _GROUP_DEFAULT_SUB[viewName]);
   }
 
-  if (viewName === 'dashboard') requestAnimationFrame(() => renderPointsChart());
+  if (viewName === 'dashboard') {
+    requestAnimationFrame(() => {
+      renderPointsChart();
+      renderValueChart();
+    });
+  }
 }
 
 function _activateSubView(groupName, subViewName) {
@@ -272,9 +283,148 @@ function initNotifications() {
 
 let pollTimer = null;
 
+/**
+ * Whether a race's published data can be treated as final.
+ * @param {object} race - Jolpica race ({ date, time })
+ */
+function isRaceFinal(race) {
+  const start = Date.parse(`${race.date}T${race.time || '00:00:00Z'}`);
+  return Number.isFinite(start) && Date.now() - start > API.RESULTS_FINAL_MS;
+}
+
+/**
+ * Fetch pit stops for every raced round that isn't cached yet.
+ * Published pit stop data doesn't change, so each round is only fetched once.
+ * A race that still has none once it is final is cached as empty so it
+ * isn't requested again.
+ * @returns {Promise<object>} { [round]: PitStops }
+ */
+async function syncPitStops(raceResults) {
+  const pitStops = { ...(loadCachedResults().pitStops || {}) };
+  const missing = raceResults.filter(race => !(race.round in pitStops));
+
+  const outcomes = await Promise.allSettled(missing.map(race => fetchPitStops(race.round)));
+  outcomes.forEach((outcome, i) => {
+    if (outcome.status !== 'fulfilled') return;
+    if (outcome.value.length > 0 || isRaceFinal(missing[i])) {
+      pitStops[missing[i].round] = outcome.value;
+    }
+  });
+  return pitStops;
+}
+
+/**
+ * Count overtakes for the newest raced round that isn't cached yet.
+ * Lap data is large (a dozen pages per race), so only the per-driver counts
+ * are kept and at most one round is fetched per poll to stay inside the API's
+ * rate limit; older rounds fill in on later polls. A round is only counted
+ * once its pit stops are in (otherwise pit-cycle swaps would count as passes).
+ * @returns {Promise<object>} { [round]: { [driverId]: { lapOne, racing } } }
+ */
+async function syncOvertakes(raceResults, pitStops) {
+  const overtakes = { ...(loadCachedResults().overtakes || {}) };
+  const race = [...raceResults]
+    .sort((a, b) => Number(b.round) - Number(a.round))
+    .find(r => !overtakes[r.round] && pitStops[r.round]?.length);
+  if (!race) return overtakes;
+
+  try {
+    const laps = await fetchLaps(race.round);
+    if (laps.length === 0) return overtakes;
+
+    const grid = {};
+    for (const r of race.Results || []) {
+      grid[r.Driver?.driverId] = parseInt(r.grid, 10) || 0;
+    }
+    overtakes[race.round] = countOvertakes(laps, pitStops[race.round], grid);
+  } catch (err) {
+    console.warn(`[App] Could not load laps for round ${race.round}:`, err.message);
+  }
+  return overtakes;
+}
+
+/**
+ * Load the hand-entered pit stop times.
+ * Falls back to the cached overrides when the file can't be fetched, so a
+ * failed request doesn't look like the overrides were withdrawn.
+ * @returns {Promise<object>} { [round]: { [constructorId]: seconds } }
+ */
+async function syncPitStopOverrides() {
+  try {
+    return await fetchPitStopOverrides();
+  } catch (err) {
+    console.warn('[App] Could not load pit stop overrides:', err.message);
+    return loadCachedResults().pitStopOverrides || {};
+  }
+}
+
+/**
+ * Load the commissioner's Driver of the Day picks.
+ * Falls back to the cached picks when offline or signed out.
+ * @returns {Promise<object>} { [round]: driverId }
+ */
+async function syncDriverOfTheDay() {
+  try {
+    const settings = await loadRoundSettings();
+    const picks = {};
+    for (const [round, s] of Object.entries(settings)) {
+      if (s.driverOfTheDay) picks[round] = s.driverOfTheDay;
+    }
+    return picks;
+  } catch (err) {
+    console.warn('[App] Could not load Driver of the Day:', err.message);
+    return loadCachedResults().driverOfTheDay || {};
+  }
+}
+
+/**
+ * Fetch past seasons' results at the next race's circuit for the points
+ * projection. Past seasons don't change, so a circuit is only fetched once.
+ * @returns {Promise<object>} { [circuitId]: [{ season, results }] }
+ */
+async function syncCircuitHistory(schedule, raceResults) {
+  const circuitHistory = { ...(loadCachedResults().circuitHistory || {}) };
+  const raced = new Set(raceResults.map(r => r.round));
+  const circuitId = schedule.find(r => !raced.has(r.round))?.Circuit?.circuitId;
+  if (!circuitId || circuitHistory[circuitId]) return circuitHistory;
+
+  const seasons = Array.from({ length: PROJECTION.CIRCUIT_SEASONS }, (_, i) => String(Number(API.SEASON) - 1 - i));
+  const outcomes = await Promise.allSettled(seasons.map(season => fetchCircuitResults(circuitId, season)));
+  // Try again next sync rather than cache a partial history
+  if (outcomes.some(o => o.status === 'rejected')) return circuitHistory;
+
+  circuitHistory[circuitId] = outcomes
+    .map((outcome, i) => ({ season: seasons[i], results: outcome.value }))
+    .filter(race => race.results.length > 0);
+  return circuitHistory;
+}
+
+/**
+ * Load the league's scoring rulesets and activate the commissioner's pick,
+ * so new rounds are scored with the league's rules. Keeps the cached
+ * rulesets when offline or signed out.
+ */
+async function syncLeagueScoring() {
+  try {
+    const settings = await loadLeagueScoring();
+    saveLeagueScoringCache(settings);
+    applyLeagueScoring(settings);
+  } catch (err) {
+    console.warn('[App] Could not load league scoring:', err.message);
+  }
+}
+
 async function runSync() {
   try {
     const data = await fullSync();
+    const [pitStops, pitStopOverrides, driverOfTheDay] = await Promise.all([
+      syncPitStops(data.raceResults || []),
+      syncPitStopOverrides(),
+      syncDriverOfTheDay(),
+      syncLeagueScoring(),
+    ]);
+    const overtakes = await syncOvertakes(data.raceResults || [], pitStops);
+    const circuitHistory = await syncCircuitHistory(data.schedule || [], data.raceResults || []);
 
     const cachePayload = {
       schedule: data.schedule || [],
@@ -283,24 +433,19 @@ async function runSync() {
       sprintResults: data.sprintResults || [],
       driverStandings: data.driverStandings || [],
       constructorStandings: data.constructorStandings || [],
+      pitStops,
+      pitStopOverrides,
+      driverOfTheDay,
+      overtakes,
+      circuitHistory,
     };
     saveCachedResults(cachePayload);
     saveLastSync();
 
     if (data.raceResults && data.raceResults.length > 0) {
-      for (const race of data.raceResults) {
-        const round = race.round;
-        const qualifying = (data.qualifying || []).find(q => q.round === round);
-        const sprint = (data.sprintResults || []).find(s => s.round === round);
-
-        processRaceWeekend({
-          round,
-          raceName: race.raceName,
-          results: race.Results || [],
-          qualifying: qualifying?.QualifyingResults || [],
-          sprint: sprint?.SprintResults || [],
-        });
-      }
+      runScoringPipeline(buildRaceWeekends({
+        ...data, pitStops, pitStopOverrides, driverOfTheDay, overtakes,
+      }));
     }
 
     if (data.errors.length > 0) {
@@ -597,6 +742,11 @@ async function showApp(user) {
     console.warn('[App] Could not load cloud data:', err.message);
   }
 
+  // Score with the league's rules from the start; runSync refreshes them
+  applyLeagueScoring(loadLeagueScoringCache());
+  // Trade at the last known prices until the scoring pipeline replays them
+  applyPriceHistory(loadPriceHistory());
+
   if (!appBooted) {
     // First boot: initialize everything
     initTeam();
@@ -612,6 +762,7 @@ async function showApp(user) {
     initConstructorProfile();
     initUserProfile();
     initRaceProfile();
+    initScoreExplainer();
     initLeaderboard();
     initH2H();
     initNews();
@@ -647,6 +798,7 @@ export function enterGuestMode() {
   userMenuEl.style.display = 'none';
   guestSigninBtn.style.display = '';
   document.getElementById('guest-profile-btn').style.display = '';
+  applyPriceHistory(loadPriceHistory());
 
   if (!appBooted) {
     initTeam();
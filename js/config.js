@@ -6,6 +6,10 @@ export const API = {
   SEASON: '2026',
   POLL_INTERVAL_MS: 5 * 60 * 1000,
   CACHE_TTL_MS: 10 * 60 * 1000,
+  // How long after the start a race's published data is treated as final
+  RESULTS_FINAL_MS: 48 * 60 * 60 * 1000,
+  // Hand-maintained stationary pit stop times (Jolpica only has pit-lane duration)
+  PIT_STOP_OVERRIDES_URL: 'data/pitstop-overrides.json',
 };
 
 export const SCORING = {
@@ -19,10 +23,18 @@ export const SCORING = {
   POSITION_GAINED: 1,
   POSITION_LOST: -1,
   OVERTAKE_BONUS: 1,
+  OVERTAKE_LAP_ONE: false, // Count opening-lap passes (vs the grid) as overtakes
   FASTEST_LAP: 10,
   DRIVER_OF_THE_DAY: 10,
   SPRINT: { 1: 8, 2: 7, 3: 6, 4: 5, 5: 4, 6: 3, 7: 2, 8: 1 },
   SPRINT_FASTEST_LAP: 5,
+  DRIVER_QUALIFYING: {
+    POSITION: {
+      1: 10, 2: 9, 3: 8, 4: 7, 5: 6,
+      6: 5, 7: 4, 8: 3, 9: 2, 10: 1,
+    },
+    NO_TIME: -5, // No lap time set, or disqualified from qualifying
+  },
   CONSTRUCTOR_QUALIFYING: {
     NEITHER_Q2: -1, ONE_Q2: 1, BOTH_Q2: 3, ONE_Q3: 5, BOTH_Q3: 10,
   },
@@ -31,9 +43,14 @@ export const SCORING = {
     UNDER_2_5: 5, UNDER_3_0: 2, RECORD_BONUS: 15, RECORD_TIME: 1.80,
   },
   STREAKS: {
+    DRIVER_LENGTH: 5, CONSTRUCTOR_LENGTH: 3,
     DRIVER_QUALI_TOP10_5: 5, DRIVER_FINISH_TOP10_5: 10,
     CONSTRUCTOR_QUALI_TOP10_3: 5, CONSTRUCTOR_FINISH_TOP10_3: 10,
   },
+  TEAMMATE: {
+    ENABLED: false, // Optional category: points for beating your teammate
+    QUALIFYING: 2, RACE: 3,
+  },
   TRANSFER_PENALTY: -10,
   FREE_TRANSFERS: 2,
   MAX_CARRYOVER: 1,
@@ -41,6 +58,41 @@ export const SCORING = {
 
 export const BUDGET = { STARTING: 100.0 };
 
+// Price changes after each scored round. Form is the average fantasy points
+// per $M over the last WINDOW rounds; PPM_BANDS split it into great / good /
+// poor / bad, which picks a step from the asset's tier. A tier's largest
+// step is the most its price can move in one round.
+export const PRICING = {
+  WINDOW: 3,
+  MIN_PRICE: 4.5,
+  PPM_BANDS: [1.2, 0.9, 0.6],
+  TIERS: [
+    { MIN_PRICE: 18.5, CHANGES: [0.3, 0.1, -0.1, -0.3] },
+    { MIN_PRICE: 0, CHANGES: [0.6, 0.2, -0.2, -0.6] },
+  ],
+};
+
+// Next-round points projection. Form is a decayed average of the last
+// FORM_WINDOW rounds (most recent weighs most), pulled towards PRIOR_PPM
+// points per $M until there are rounds to go on. Once the grid is known it
+// carries GRID_WEIGHT of the estimate; past results at the circuit shift it
+// by CIRCUIT_WEIGHT of how much better or worse the driver does there.
+// DNF rates start from DNF_PRIOR as if DNF_PRIOR_ROUNDS rounds had been run.
+// The band is BAND_Z standard deviations of recent scores either side.
+export const PROJECTION = {
+  FORM_WINDOW: 5,
+  FORM_DECAY: 0.75,
+  PRIOR_PPM: 0.6,
+  PRIOR_ROUNDS: 1,
+  GRID_WEIGHT: 0.5,
+  CIRCUIT_WEIGHT: 0.3,
+  CIRCUIT_SEASONS: 3,
+  DNF_PRIOR: 0.1,
+  DNF_PRIOR_ROUNDS: 5,
+  BAND_Z: 1,
+  BAND_DEFAULT: 8,
+};
+
 export const DRIVERS = [
   { id: 'norris', code: 'NOR', firstName: 'Lando', lastName: 'Norris', number: 4, team: 'mclaren', nationality: 'GBR', price: 30.0 },
   { id: 'max_verstappen', code: 'VER', firstName: 'Max', lastName: 'Verstappen', number: 1, team: 'red_bull', nationality: 'NED', price: 28.0 },
@@ -123,20 +175,31 @@ export function getFlag(code) {
   );
 }
 
+// Returns the lock window for a race. The team locks at the qualifying
+// deadline (1 day before the race at 14:00 UTC) and unlocks once the race
+// is over (assumed 3 hours after the 14:00 UTC start).
+// Returns { lockAt, unlockAt }.
+export function getLockWindow(race) {
+  const raceStart = new Date(race.date + 'T14:00:00Z'); // Race day ~14:00 UTC
+  const lockAt = new Date(raceStart);
+  lockAt.setUTCDate(lockAt.getUTCDate() - 1); // Qualifying: 1 day before
+  const unlockAt = new Date(raceStart.getTime() + 3 * 60 * 60 * 1000);
+  return { lockAt, unlockAt };
+}
+
 // Returns the qualifying deadline for the next upcoming race.
-// Qualifying is assumed to be 1 day before the race date at 14:00 UTC.
 // Returns { race, deadline } or null if the season is over.
 export function getNextQualiDeadline() {
   const now = new Date();
-  const next = RACE_CALENDAR.find(r => {
-    const d = new Date(r.date + 'T14:00:00Z'); // Race day ~14:00 UTC
-    const quali = new Date(d);
-    quali.setUTCDate(quali.getUTCDate() - 1); // Qualifying: 1 day before
-    return quali > now;
-  });
+  const next = RACE_CALENDAR.find(r => getLockWindow(r).lockAt > now);
   if (!next) return null;
-  const raceDate = new Date(next.date + 'T14:00:00Z');
-  const deadline = new Date(raceDate);
-  deadline.setUTCDate(deadline.getUTCDate() - 1);
-  return { race: next, deadline };
+  return { race: next, deadline: getLockWindow(next).lockAt };
+}
+
+// Returns the race whose lock window contains `now`, or null if teams are editable.
+export function getLockedRace(now = new Date()) {
+  return RACE_CALENDAR.find(r => {
+    const { lockAt, unlockAt } = getLockWindow(r);
+    return lockAt <= now && now < unlockAt;
+  }) || null;
 }
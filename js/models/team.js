@@ -1,15 +1,31 @@
 // Fantasy Team Model
-// Manages the user's team: driver/constructor selection, budget, transfers, boosts.
+// Manages the user's team: driver/constructor selection, budget, transfers,
+// boosts, and team value.
 // Official F1 Fantasy format: 5 drivers + 2 constructors, $100M budget.
 
-import { DRIVERS, CONSTRUCTORS, BUDGET, SCORING } from '../config.js';
+import {
+  DRIVERS, CONSTRUCTORS, BUDGET, RACE_CALENDAR, getLockWindow, getLockedRace,
+} from '../config.js';
 import { emit, HookEvents } from '../services/hooks.js';
-import { loadTeam, saveTeam, loadBoosts, saveBoosts, loadTransferLog, saveTransferLog } from '../services/storage.js';
+import { getActiveRuleset } from '../scoring/rulesets.js';
+import {
+  getDriverPrice, getConstructorPrice, getPrices, getPriceHistory,
+} from '../scoring/prices.js';
+import {
+  BOOSTS, getBoostDef, needsTarget, findExclusiveClash, limitlessRevertDue,
+} from '../scoring/boosts.js';
+import {
+  loadTeam, saveTeam, loadBoosts, saveBoosts, loadTransferLog, saveTransferLog,
+  loadTeamSnapshots, saveTeamSnapshots,
+} from '../services/storage.js';
 
 let teamState = null;
 let boostState = null;
 let transferLog = null;
 
+const LOCKED_ERROR = 'Team is locked until the race finishes';
+const LIMITLESS_PENDING_ERROR = 'Your Limitless team reverts once its race is scored';
+
 export function initTeam() {
   teamState = loadTeam();
   // Migrate old single-constructor format to new 2-constructor format
@@ -20,14 +36,30 @@ export function initTeam() {
     delete teamState.constructor;
     saveTeam(teamState);
   }
+  // Teams picked before prices moved were bought at season-start prices
+  if (teamState && !teamState.purchases) {
+    teamState.purchases = {};
+    for (const id of teamState.drivers.filter(Boolean)) {
+      teamState.purchases[id] = DRIVERS.find(d => d.id === id)?.price ?? 0;
+    }
+    for (const id of teamState.constructors.filter(Boolean)) {
+      teamState.purchases[id] = CONSTRUCTORS.find(c => c.id === id)?.price ?? 0;
+    }
+    saveTeam(teamState);
+  }
   boostState = loadBoosts();
   transferLog = loadTransferLog();
+  refreshLockState();
   return teamState;
 }
 
 export function getTeam() {
   if (!teamState) initTeam();
-  return { ...teamState, constructors: [...teamState.constructors] };
+  return {
+    ...teamState,
+    constructors: [...teamState.constructors],
+    purchases: { ...teamState.purchases },
+  };
 }
 
 export function getBoosts() {
@@ -43,6 +75,8 @@ export function getBoosts() {
  */
 export function addDriver(driverId, slot) {
   if (!teamState) initTeam();
+  const blocked = editBlockedReason();
+  if (blocked) return { success: false, error: blocked };
 
   const driver = DRIVERS.find(d => d.id === driverId);
   if (!driver) return { success: false, error: 'Driver not found' };
@@ -54,28 +88,18 @@ export function addDriver(driverId, slot) {
     return { success: false, error: 'Driver already on team' };
   }
 
-  // Calculate budget impact
+  // Calculate budget impact: buy and sell at current prices
   const currentDriverId = teamState.drivers[slot];
-  let budgetChange = -driver.price;
-  if (currentDriverId) {
-    const currentDriver = DRIVERS.find(d => d.id === currentDriverId);
-    budgetChange += currentDriver ? currentDriver.price : 0;
-  }
+  let budgetChange = -getDriverPrice(driverId);
+  if (currentDriverId) budgetChange += getDriverPrice(currentDriverId);
 
   const isLimitless = boostState?.limitless?.active;
   if (!isLimitless && teamState.budget + budgetChange < 0) {
     return { success: false, error: 'Insufficient budget' };
   }
 
-  // Check if this is a transfer (replacing a filled slot after lockdown)
-  if (currentDriverId && teamState.locked) {
-    const isWildcard = boostState?.wildcard?.active;
-    if (!isWildcard) {
-      const freeLeft = teamState.freeTransfers - teamState.transfersMade;
-      if (freeLeft <= 0) {
-        // Extra transfer penalty will be applied
-      }
-    }
+  // Check if this is a transfer (replacing a filled slot after the first lock)
+  if (currentDriverId && hasLockedBefore()) {
     transferLog.push({
       type: 'driver',
       out: currentDriverId,
@@ -86,11 +110,13 @@ export function addDriver(driverId, slot) {
     emit(HookEvents.TEAM_TRANSFER_MADE, { out: currentDriverId, in: driverId });
   }
 
+  // Budget is always tracked; Limitless only lifts the cap, so it can go negative
   teamState.drivers[slot] = driverId;
-  if (!isLimitless) {
-    teamState.budget = Math.round((teamState.budget + budgetChange) * 10) / 10;
-  }
+  teamState.budget = Math.round((teamState.budget + budgetChange) * 10) / 10;
+  if (currentDriverId) delete teamState.purchases[currentDriverId];
+  teamState.purchases[driverId] = getDriverPrice(driverId);
 
+  recountTransfers();
   saveTeam(teamState);
   emit(HookEvents.TEAM_DRIVER_ADDED, { driverId, slot });
   emit(HookEvents.TEAM_UPDATED, teamState);
@@ -104,17 +130,19 @@ export function addDriver(driverId, slot) {
  */
 export function removeDriver(slot) {
   if (!teamState) initTeam();
+  const blocked = editBlockedReason();
+  if (blocked) return { success: false, error: blocked };
   if (slot < 0 || slot > 4) return { success: false, error: 'Invalid slot' };
 
   const driverId = teamState.drivers[slot];
   if (!driverId) return { success: false, error: 'Slot is empty' };
 
-  const driver = DRIVERS.find(d => d.id === driverId);
-  if (driver) {
-    teamState.budget = Math.round((teamState.budget + driver.price) * 10) / 10;
-  }
+  // Sold at the current price, so price changes show up in the budget
+  teamState.budget = Math.round((teamState.budget + getDriverPrice(driverId)) * 10) / 10;
+  delete teamState.purchases[driverId];
 
   teamState.drivers[slot] = null;
+  recountTransfers();
   saveTeam(teamState);
 
   emit(HookEvents.TEAM_DRIVER_REMOVED, { driverId, slot });
@@ -131,6 +159,8 @@ export function removeDriver(slot) {
  */
 export function setConstructor(constructorId, slot = 0) {
   if (!teamState) initTeam();
+  const blocked = editBlockedReason();
+  if (blocked) return { success: false, error: blocked };
 
   const constructor = CONSTRUCTORS.find(c => c.id === constructorId);
   if (!constructor) return { success: false, error: 'Constructor not found' };
@@ -142,28 +172,18 @@ export function setConstructor(constructorId, slot = 0) {
     return { success: false, error: 'Constructor already on team' };
   }
 
-  // Budget adjustment
-  let budgetChange = -constructor.price;
+  // Budget adjustment at current prices
+  let budgetChange = -getConstructorPrice(constructorId);
   const currentId = teamState.constructors[slot];
-  if (currentId) {
-    const current = CONSTRUCTORS.find(c => c.id === currentId);
-    budgetChange += current ? current.price : 0;
-  }
+  if (currentId) budgetChange += getConstructorPrice(currentId);
 
   const isLimitless = boostState?.limitless?.active;
   if (!isLimitless && teamState.budget + budgetChange < 0) {
     return { success: false, error: 'Insufficient budget' };
   }
 
-  // Track transfer if replacing after lockdown
-  if (currentId && teamState.locked) {
-    const isWildcard = boostState?.wildcard?.active;
-    if (!isWildcard) {
-      const freeLeft = teamState.freeTransfers - teamState.transfersMade;
-      if (freeLeft <= 0) {
-        // Extra transfer penalty will be applied
-      }
-    }
+  // Track transfer if replacing after the first lock
+  if (currentId && hasLockedBefore()) {
     transferLog.push({
       type: 'constructor',
       out: currentId,
@@ -175,10 +195,11 @@ export function setConstructor(constructorId, slot = 0) {
   }
 
   teamState.constructors[slot] = constructorId;
-  if (!isLimitless) {
-    teamState.budget = Math.round((teamState.budget + budgetChange) * 10) / 10;
-  }
+  teamState.budget = Math.round((teamState.budget + budgetChange) * 10) / 10;
+  if (currentId) delete teamState.purchases[currentId];
+  teamState.purchases[constructorId] = getConstructorPrice(constructorId);
 
+  recountTransfers();
   saveTeam(teamState);
   emit(HookEvents.TEAM_CONSTRUCTOR_CHANGED, { constructorId, slot });
   emit(HookEvents.TEAM_UPDATED, teamState);
@@ -193,16 +214,17 @@ export function setConstructor(constructorId, slot = 0) {
  */
 export function removeConstructor(slot = 0) {
   if (!teamState) initTeam();
+  const blocked = editBlockedReason();
+  if (blocked) return { success: false, error: blocked };
   if (slot < 0 || slot > 1) return { success: false, error: 'Invalid constructor slot' };
 
   const constructorId = teamState.constructors[slot];
   if (!constructorId) return { success: false, error: 'Slot is empty' };
 
-  const current = CONSTRUCTORS.find(c => c.id === constructorId);
-  if (current) {
-    teamState.budget = Math.round((teamState.budget + current.price) * 10) / 10;
-  }
+  teamState.budget = Math.round((teamState.budget + getConstructorPrice(constructorId)) * 10) / 10;
+  delete teamState.purchases[constructorId];
   teamState.constructors[slot] = null;
+  recountTransfers();
   saveTeam(teamState);
 
   emit(HookEvents.TEAM_CONSTRUCTOR_CHANGED, { constructorId: null, slot });
@@ -214,22 +236,28 @@ export function removeConstructor(slot = 0) {
 
 /**
  * Activate a boost for a race.
- * @param {string} boostType - 'drs', 'mega', 'extra-drs', 'limitless', 'wildcard', 'no-negative'
+ * @param {string} boostType - A boost key from scoring/boosts.js ('drs', 'mega', 'limitless', ...)
  * @param {string} [targetDriverId] - For DRS/Mega/ExtraDRS, which driver to boost
  */
 export function activateBoost(boostType, targetDriverId = null) {
   if (!boostState) boostState = loadBoosts();
+  const blocked = editBlockedReason();
+  if (blocked) return { success: false, error: blocked };
 
+  const def = getBoostDef(boostType);
   const boost = boostState[boostType];
-  if (!boost) return { success: false, error: 'Unknown boost type' };
+  if (!def || !boost) return { success: false, error: 'Unknown boost type' };
 
-  if (boostType !== 'drs' && boost.used) {
+  if (def.oncePerSeason && boost.used) {
     return { success: false, error: 'Boost already used this season' };
   }
 
-  // Boosts that require a driver target
-  const needsTarget = ['drs', 'mega', 'extra-drs'];
-  if (needsTarget.includes(boostType)) {
+  const clash = findExclusiveClash(boostType, boostState);
+  if (clash) {
+    return { success: false, error: `${def.name} and ${getBoostDef(clash).name} can't be played in the same round` };
+  }
+
+  if (needsTarget(boostType)) {
     if (!targetDriverId) {
       return { success: false, error: 'Select a driver for this boost' };
     }
@@ -241,41 +269,293 @@ export function activateBoost(boostType, targetDriverId = null) {
     boost.target = targetDriverId;
   }
 
+  // Limitless keeps the pre-boost team to return to afterwards
+  if (boostType === 'limitless' && !boost.active) {
+    if (!teamState) initTeam();
+    boost.revertTo = {
+      drivers: [...teamState.drivers],
+      constructors: [...teamState.constructors],
+      budget: teamState.budget,
+      purchases: { ...teamState.purchases },
+    };
+  }
+
   boost.active = true;
   saveBoosts(boostState);
   emit(HookEvents.TEAM_BOOST_ACTIVATED, { boostType, targetDriverId });
+  if (def.waivesTransfers) syncTransferCount();
 
   return { success: true };
 }
 
 /**
- * Deactivate a boost.
+ * Deactivate a boost. Switching Limitless off restores the pre-Limitless team.
+ * @returns {{ success: boolean, error?: string }}
  */
 export function deactivateBoost(boostType) {
   if (!boostState) boostState = loadBoosts();
+  const blocked = editBlockedReason();
+  if (blocked) return { success: false, error: blocked };
   const boost = boostState[boostType];
-  if (!boost) return;
+  if (!boost) return { success: false, error: 'Unknown boost type' };
 
+  if (boostType === 'limitless') revertLimitless();
   boost.active = false;
   boost.target = null;
   saveBoosts(boostState);
+  if (getBoostDef(boostType)?.waivesTransfers) syncTransferCount();
+  return { success: true };
 }
 
 /**
- * Mark boosts as consumed after a race.
+ * Mark the boosts played in a scored round as consumed.
+ * A boost is only switched off if it still matches what was locked in, so
+ * chips armed for the next round after the lock are left alone.
+ * A played Limitless reverts the team to its pre-Limitless lineup, and
+ * transfers are recounted once a transfer-waiving boost is off.
+ * @param {object} played - Boosts from the round's snapshot ({ [type]: { target } })
  */
-export function consumeBoosts() {
+export function consumeBoosts(played = {}) {
   if (!boostState) boostState = loadBoosts();
 
-  for (const [key, boost] of Object.entries(boostState)) {
-    if (boost.active && key !== 'drs') {
-      boost.used = true;
+  for (const [key, snap] of Object.entries(played)) {
+    const boost = boostState[key];
+    if (!boost) continue;
+    if (key === 'limitless' && revertLimitless()) {
+      emit(HookEvents.NOTIFICATION, {
+        text: 'Limitless is over: your team is back to its pre-Limitless lineup.',
+        type: 'info',
+      });
+    }
+    if (getBoostDef(key)?.oncePerSeason) boost.used = true;
+    if (boost.active && (boost.target || null) === (snap.target || null)) {
+      boost.active = false;
+      boost.target = null;
     }
-    boost.active = false;
-    boost.target = null;
   }
 
   saveBoosts(boostState);
+  // Changes made since the Wildcard round locked were counted as free
+  // while it was still active; they count from here on
+  if (Object.keys(played).some(key => getBoostDef(key)?.waivesTransfers)) syncTransferCount();
+}
+
+// ===== Lock Window =====
+// The lineup is frozen at each qualifying deadline and stays locked until the
+// race is over. Snapshots are what scoring and rival comparisons read.
+
+/**
+ * Bring the lock flag up to date, freezing a snapshot for every qualifying
+ * deadline passed since the last check. Runs before every edit and on the
+ * UI countdown tick, so no edit can land between a deadline and its snapshot.
+ * @param {Date} [now]
+ * @returns {boolean} Whether the team is currently locked
+ */
+export function refreshLockState(now = new Date()) {
+  if (!teamState) initTeam();
+  if (!boostState) boostState = loadBoosts();
+
+  expireLimitless(now);
+  freezePassedDeadlines(now);
+
+  const lockedRace = getLockedRace(now);
+  const lockedRound = lockedRace ? lockedRace.round : null;
+  if (teamState.locked !== !!lockedRace || teamState.lockedRound !== lockedRound) {
+    teamState.locked = !!lockedRace;
+    teamState.lockedRound = lockedRound;
+    saveTeam(teamState);
+    emit(HookEvents.TEAM_LOCK_CHANGED, { locked: teamState.locked, round: lockedRound });
+    emit(HookEvents.TEAM_UPDATED, teamState);
+  }
+  return teamState.locked;
+}
+
+/**
+ * Get the lineup frozen for a round.
+ * @param {number|string} round
+ * @returns {object|null} { drivers, constructors, boosts, budget, lockedAt }
+ */
+export function getTeamSnapshot(round) {
+  return loadTeamSnapshots()[round] || null;
+}
+
+function freezePassedDeadlines(now) {
+  const passed = RACE_CALENDAR.filter(r => getLockWindow(r).lockAt <= now);
+  if (passed.length === 0) return;
+
+  const latest = passed[passed.length - 1].round;
+  // Teams from before snapshots existed can only vouch for the latest deadline
+  const frozenThrough = teamState.frozenThrough ?? latest - 1;
+  if (frozenThrough >= latest) return;
+
+  // An empty team at the deadline simply sits the round out
+  if (teamState.drivers.some(Boolean)) {
+    const snapshots = loadTeamSnapshots();
+    const pending = passed.filter(r => r.round > frozenThrough);
+    let boosts = playedBoosts(true);
+    for (const race of pending) {
+      if (!snapshots[race.round]) {
+        const snapshot = {
+          drivers: [...teamState.drivers],
+          constructors: [...teamState.constructors],
+          boosts,
+          budget: teamState.budget,
+          purchases: { ...teamState.purchases },
+          transfers: settleTransfers(),
+          lockedAt: getLockWindow(race).lockAt.toISOString(),
+        };
+        // A Limitless team reverts after the race, so the next window's
+        // transfers count from the lineup it reverts to
+        if (boosts.limitless && boostState.limitless?.revertTo) {
+          const { drivers, constructors } = boostState.limitless.revertTo;
+          snapshot.transferBase = { drivers: [...drivers], constructors: [...constructors] };
+          boostState.limitless.playedRound = race.round;
+          saveBoosts(boostState);
+        }
+        snapshots[race.round] = snapshot;
+      }
+      // One-off chips only count for the first round they were locked into
+      boosts = playedBoosts(false);
+    }
+    saveTeamSnapshots(snapshots);
+  }
+
+  teamState.frozenThrough = latest;
+  saveTeam(teamState);
+}
+
+function playedBoosts(includeOneOffs) {
+  const played = {};
+  for (const [key, boost] of Object.entries(boostState)) {
+    if (!boost.active) continue;
+    if (getBoostDef(key)?.oncePerSeason && !includeOneOffs) continue;
+    played[key] = { active: true, target: boost.target || null };
+  }
+  return played;
+}
+
+function hasLockedBefore() {
+  return Object.keys(loadTeamSnapshots()).length > 0;
+}
+
+/**
+ * Why the team can't be edited right now, or null if it can.
+ * A played Limitless team stays frozen until its round is scored and it reverts
+ * (or the next round's deadline passes without it being scored).
+ */
+function editBlockedReason() {
+  if (refreshLockState()) return LOCKED_ERROR;
+  if (boostState.limitless?.playedRound != null) return LIMITLESS_PENDING_ERROR;
+  return null;
+}
+
+// ===== Limitless =====
+
+// A Limitless round that never gets scored would otherwise leave the team
+// frozen for the rest of the season, so it is played out here instead
+function expireLimitless(now) {
+  const playedRound = boostState.limitless?.playedRound;
+  if (playedRound == null || !limitlessRevertDue(playedRound, now)) return;
+  consumeBoosts({ limitless: { target: null } });
+  if (boostState.limitless.playedRound != null) {
+    delete boostState.limitless.playedRound;
+    saveBoosts(boostState);
+  }
+}
+
+/**
+ * Put the team back to how it was when Limitless was activated.
+ * @returns {boolean} Whether there was a team to restore
+ */
+function revertLimitless() {
+  const limitless = boostState.limitless;
+  const revertTo = limitless?.revertTo;
+  if (!revertTo) return false;
+
+  teamState.drivers = [...revertTo.drivers];
+  teamState.constructors = [...revertTo.constructors];
+  teamState.budget = revertTo.budget;
+  if (revertTo.purchases) teamState.purchases = { ...revertTo.purchases };
+  delete limitless.revertTo;
+  delete limitless.playedRound;
+  saveBoosts(boostState);
+
+  recountTransfers();
+  saveTeam(teamState);
+  emit(HookEvents.TEAM_UPDATED, teamState);
+  emit(HookEvents.TEAM_BUDGET_CHANGED, teamState.budget);
+  return true;
+}
+
+// ===== Transfers =====
+// A transfer is any driver or constructor on the team that was not in the
+// last locked lineup. Counts reset at each lock; extra transfers cost points.
+
+function isTransferWaived() {
+  return BOOSTS.some(def => def.waivesTransfers && boostState?.[def.key]?.active);
+}
+
+/**
+ * Recompute transfersMade against the most recent snapshot.
+ * Transfers don't count while Wildcard or Limitless is active.
+ */
+function recountTransfers() {
+  const snapshots = loadTeamSnapshots();
+  const rounds = Object.keys(snapshots).map(Number);
+  if (rounds.length === 0 || isTransferWaived()) {
+    teamState.transfersMade = 0;
+    return;
+  }
+
+  const latest = snapshots[Math.max(...rounds)];
+  const base = latest.transferBase || latest;
+  const driversIn = teamState.drivers.filter(id => id && !base.drivers.includes(id));
+  const constructorsIn = teamState.constructors.filter(id => id && !base.constructors.includes(id));
+  teamState.transfersMade = driversIn.length + constructorsIn.length;
+}
+
+function syncTransferCount() {
+  if (!teamState) initTeam();
+  const before = teamState.transfersMade;
+  recountTransfers();
+  if (teamState.transfersMade === before) return;
+  saveTeam(teamState);
+  emit(HookEvents.TEAM_UPDATED, teamState);
+}
+
+/**
+ * Close the transfer window at a lock: work out the penalty for the round
+ * and carry over unused free transfers into the next window.
+ * @returns {{ made: number, free: number, penalty: number, waived: boolean }}
+ */
+function settleTransfers() {
+  const { rules } = getActiveRuleset();
+  const made = teamState.transfersMade || 0;
+  const free = teamState.freeTransfers ?? rules.FREE_TRANSFERS;
+  const extra = Math.max(0, made - free);
+
+  const carryover = Math.min(rules.MAX_CARRYOVER, Math.max(0, free - made));
+  teamState.freeTransfers = rules.FREE_TRANSFERS + carryover;
+  teamState.transfersMade = 0;
+
+  return { made, free, penalty: extra * rules.TRANSFER_PENALTY, waived: isTransferWaived() };
+}
+
+/**
+ * Get the transfer tally for the current window.
+ * @returns {{ made: number, free: number, penalty: number, waived: boolean }}
+ */
+export function getTransferStatus() {
+  if (!teamState) initTeam();
+  const { rules } = getActiveRuleset();
+  const made = teamState.transfersMade || 0;
+  const free = teamState.freeTransfers ?? rules.FREE_TRANSFERS;
+  return {
+    made,
+    free,
+    penalty: Math.max(0, made - free) * rules.TRANSFER_PENALTY,
+    waived: isTransferWaived(),
+  };
 }
 
 /**
@@ -286,6 +566,73 @@ export function getBudget() {
   return teamState.budget;
 }
 
+// ===== Team Value =====
+// Held assets are valued at current prices; the bank is the unspent budget.
+// Each asset's purchase price is kept so the team's profit can be shown.
+
+/**
+ * Value a team at a set of prices. Works for any member's team: assets
+ * without a recorded purchase price count as bought at season-start prices.
+ * @param {object} team - { drivers, constructors, budget, purchases? }
+ * @param {object} [prices] - { drivers, constructors } by id (default: current prices)
+ * @returns {{ assets: number, bank: number, total: number, cost: number, profit: number }}
+ */
+export function calculateTeamValue(team, prices = getPrices()) {
+  const round1 = n => Math.round(n * 10) / 10;
+  let assets = 0;
+  let cost = 0;
+
+  const value = (id, list, priceMap) => {
+    const base = list.find(x => x.id === id)?.price ?? 0;
+    assets += priceMap?.[id] ?? base;
+    cost += team.purchases?.[id] ?? base;
+  };
+  for (const id of (team?.drivers || []).filter(Boolean)) value(id, DRIVERS, prices.drivers);
+  const constructors = team?.constructors || (team?.constructor ? [team.constructor] : []);
+  for (const id of constructors.filter(Boolean)) value(id, CONSTRUCTORS, prices.constructors);
+
+  const bank = team?.budget ?? BUDGET.STARTING;
+  return {
+    assets: round1(assets),
+    bank: round1(bank),
+    total: round1(assets + bank),
+    cost: round1(cost),
+    profit: round1(assets - cost),
+  };
+}
+
+/**
+ * The user's team value now, with each holding's purchase and current price.
+ * @returns {{ assets, bank, total, cost, profit, holdings: Array<{ id, type, purchasePrice, price, change }> }}
+ */
+export function getTeamValue() {
+  if (!teamState) initTeam();
+  const holdings = [
+    ...teamState.drivers.filter(Boolean).map(id => ({ id, type: 'driver', price: getDriverPrice(id) })),
+    ...teamState.constructors.filter(Boolean).map(id => ({ id, type: 'constructor', price: getConstructorPrice(id) })),
+  ].map(h => {
+    const purchasePrice = teamState.purchases?.[h.id] ?? h.price;
+    return { ...h, purchasePrice, change: Math.round((h.price - purchasePrice) * 10) / 10 };
+  });
+  return { ...calculateTeamValue(teamState), holdings };
+}
+
+/**
+ * Team value after each scored round: the lineup locked in for the round,
+ * valued at the prices that round's results produced.
+ * @returns {object} { [round]: { assets, bank, total, cost, profit } }
+ */
+export function getTeamValueHistory() {
+  const snapshots = loadTeamSnapshots();
+  const prices = getPriceHistory();
+  const history = {};
+  for (const round of Object.keys(snapshots).map(Number).sort((a, b) => a - b)) {
+    if (!prices[round]) continue;
+    history[round] = calculateTeamValue(snapshots[round], prices[round]);
+  }
+  return history;
+}
+
 /**
  * Get the team name.
  * @returns {string}
@@ -0,0 +1,192 @@
+// Boost Definitions
+// Registry of the chips a team can play. Scoring, the team model and the UI
+// all read boost behaviour from here instead of hard-coding boost keys.
+// Each scored round records a boost ledger (which chips were played, on whom,
+// and what they were worth) so chip history survives the season.
+
+import { DRIVERS, RACE_CALENDAR, getLockWindow } from '../config.js';
+
+/**
+ * @typedef {object} BoostDef
+ * @property {string} key
+ * @property {string} name - Full name, e.g. 'Mega Driver'
+ * @property {string} short - Compact label for badges and ledger lines
+ * @property {'driver'|'team'} target - Whether the chip is played on one driver
+ * @property {number} [multiplier] - Points multiplier for the target driver
+ * @property {boolean} oncePerSeason - Used up once a round it was played in is scored
+ * @property {string} [exclusiveGroup] - Chips in the same group can't share a round
+ * @property {boolean} [floorsNegatives] - Negative driver/constructor scores count as 0
+ * @property {boolean} [waivesTransfers] - Transfers are free while active
+ */
+
+/** @type {BoostDef[]} Registry order breaks multiplier ties (first wins). */
+export const BOOSTS = [
+  { key: 'drs', name: 'DRS Boost', short: 'DRS', target: 'driver', multiplier: 2, oncePerSeason: false },
+  { key: 'mega', name: 'Mega Driver', short: 'Mega', target: 'driver', multiplier: 3, oncePerSeason: true },
+  { key: 'extra-drs', name: 'Extra DRS', short: 'XDRS', target: 'driver', multiplier: 2, oncePerSeason: true },
+  { key: 'limitless', name: 'Limitless', short: 'Limitless', target: 'team', oncePerSeason: true, exclusiveGroup: 'transfers', waivesTransfers: true },
+  { key: 'wildcard', name: 'Wildcard', short: 'Wildcard', target: 'team', oncePerSeason: true, exclusiveGroup: 'transfers', waivesTransfers: true },
+  { key: 'no-negative', name: 'No Negative', short: 'No Negative', target: 'team', oncePerSeason: true, floorsNegatives: true },
+];
+
+const byKey = new Map(BOOSTS.map(def => [def.key, def]));
+
+/**
+ * @param {string} key
+ * @returns {BoostDef|null}
+ */
+export function getBoostDef(key) {
+  return byKey.get(key) || null;
+}
+
+export function needsTarget(key) {
+  return getBoostDef(key)?.target === 'driver';
+}
+
+/**
+ * Fresh, unplayed state for every boost, as stored per user.
+ */
+export function createBoostState() {
+  const state = {};
+  for (const def of BOOSTS) {
+    state[def.key] = def.target === 'driver'
+      ? { used: false, target: null, active: false }
+      : { used: false, active: false };
+  }
+  return state;
+}
+
+/**
+ * An active boost that can't be played alongside `key`, or null.
+ * @param {string} key
+ * @param {object} boostState - { [key]: { active } }
+ * @returns {string|null}
+ */
+export function findExclusiveClash(key, boostState) {
+  const group = getBoostDef(key)?.exclusiveGroup;
+  if (!group) return null;
+  const clash = BOOSTS.find(def =>
+    def.key !== key && def.exclusiveGroup === group && boostState?.[def.key]?.active);
+  return clash?.key || null;
+}
+
+/**
+ * Whether a played Limitless team should revert even though its round hasn't
+ * been scored (a cancelled race, or no snapshot to score): once the next
+ * round's deadline has passed, or when there is no next round, once the
+ * played race is over.
+ * @param {number} playedRound - Round the Limitless team was locked into
+ * @param {Date} [now]
+ * @param {Array} [calendar] - RACE_CALENDAR-shaped
+ * @returns {boolean}
+ */
+export function limitlessRevertDue(playedRound, now = new Date(), calendar = RACE_CALENDAR) {
+  const played = calendar.find(r => r.round === Number(playedRound));
+  if (!played) return true;
+  const next = calendar.find(r => r.round > played.round);
+  return next ? getLockWindow(next).lockAt <= now : getLockWindow(played).unlockAt <= now;
+}
+
+/**
+ * Read a boost's driver target. Accepts the old `{ drs: driverId }` shape
+ * as well as `{ drs: { target: driverId } }`.
+ */
+export function boostTarget(boost) {
+  if (!boost) return null;
+  if (typeof boost === 'string') return boost;
+  return boost.target || null;
+}
+
+/**
+ * Whether a boost is being played. String (old-format) boosts are always in play.
+ */
+export function isBoostPlayed(boost) {
+  if (!boost) return false;
+  if (typeof boost === 'string') return true;
+  return boost.active !== false;
+}
+
+/**
+ * The multiplier boost that applies to a driver. When several chips target
+ * the same driver the highest multiplier wins, ties going to registry order.
+ * @returns {{ key: string|null, multiplier: number }}
+ */
+export function resolveDriverBoost(driverId, boosts = {}) {
+  let best = { key: null, multiplier: 1 };
+  for (const def of BOOSTS) {
+    if (!def.multiplier || !isBoostPlayed(boosts[def.key])) continue;
+    if (boostTarget(boosts[def.key]) !== driverId) continue;
+    if (def.multiplier > best.multiplier) best = { key: def.key, multiplier: def.multiplier };
+  }
+  return best;
+}
+
+/**
+ * Whether any played boost floors negative scores at zero.
+ */
+export function floorsNegatives(boosts = {}) {
+  return BOOSTS.some(def => def.floorsNegatives && isBoostPlayed(boosts[def.key]));
+}
+
+// ===== Ledger =====
+// A ledger line is { key, target, points }. points is what the chip added to
+// the round (negative if it multiplied a negative score) or null for chips
+// with no direct points effect, such as Wildcard.
+
+/**
+ * The boost ledger for a scoring history entry. Entries scored before ledgers
+ * were recorded are rebuilt from their boosts and driver breakdown.
+ * @param {object} entry - Scoring history entry
+ * @returns {Array<{ key, target, points }>}
+ */
+export function entryBoostLedger(entry) {
+  if (Array.isArray(entry?.boostLedger)) return entry.boostLedger;
+
+  const ledger = [];
+  for (const [key, boost] of Object.entries(entry?.boosts || {})) {
+    const def = getBoostDef(key);
+    if (!def || !isBoostPlayed(boost)) continue;
+    const target = def.target === 'driver' ? boostTarget(boost) : null;
+    let points = null;
+    if (def.multiplier) {
+      const d = entry.driverScores?.[target];
+      points = d && typeof d === 'object' && d.boost === key ? d.base * (d.multiplier - 1) : 0;
+    } else if (def.floorsNegatives) {
+      points = 0;
+      for (const d of Object.values(entry.driverScores || {})) {
+        if (d?.floored) points -= d.base * (d.multiplier || 1);
+      }
+      for (const c of Object.values(entry.constructorScores || {})) {
+        if (c?.floored) points -= c.base;
+      }
+    }
+    ledger.push({ key, target, points });
+  }
+  return ledger;
+}
+
+/**
+ * Every boost played over a season, oldest round first.
+ * @param {object} history - Scoring history keyed by round
+ * @returns {Array<{ round, key, target, points }>}
+ */
+export function buildBoostHistory(history = {}) {
+  return Object.keys(history)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .flatMap(round => entryBoostLedger(history[round]).map(item => ({ round, ...item })));
+}
+
+/**
+ * "Mega played R6 on VER: +84"
+ * @param {{ round?, key, target, points }} item
+ */
+export function formatLedgerLine(item) {
+  const def = getBoostDef(item.key);
+  const driver = item.target ? DRIVERS.find(d => d.id === item.target) : null;
+  let text = `${def?.short || item.key} played`;
+  if (item.round != null) text += ` R${item.round}`;
+  if (item.target) text += ` on ${driver?.code || item.target}`;
+  if (item.points != null) text += `: ${item.points > 0 ? '+' : ''}${item.points}`;
+  return text;
+}
@@ -1,9 +1,13 @@
 // Fantasy Scoring Engine
-// Calculates fantasy points from race results following the official
-// 2026 F1 Fantasy scoring rules.
+// Calculates fantasy points from race results. Every calculation takes the
+// scoring rules as a parameter, defaulting to the active ruleset.
 
-import { SCORING, DRIVERS, CONSTRUCTORS } from '../config.js';
+import { DRIVERS, CONSTRUCTORS } from '../config.js';
 import { emit, HookEvents } from '../services/hooks.js';
+import { getActiveRuleset } from './rulesets.js';
+import {
+  BOOSTS, boostTarget, floorsNegatives, isBoostPlayed, resolveDriverBoost,
+} from './boosts.js';
 
 /**
  * Calculate fantasy points for a single driver from race results.
@@ -11,9 +15,10 @@ import { emit, HookEvents } from '../services/hooks.js';
  * @param {number} gridPosition - Starting grid position
  * @param {boolean} hasFastestLap - Whether this driver set fastest lap
  * @param {boolean} isDriverOfTheDay - DOTD flag
+ * @param {object} [rules] - Scoring rules (defaults to the active ruleset)
  * @returns {object} Breakdown of points
  */
-export function calculateDriverRacePoints(result, gridPosition, hasFastestLap = false, isDriverOfTheDay = false) {
+export function calculateDriverRacePoints(result, gridPosition, hasFastestLap = false, isDriverOfTheDay = false, rules = getActiveRuleset().rules) {
   const breakdown = {
     finish: 0,
     positionChange: 0,
@@ -28,31 +33,31 @@ export function calculateDriverRacePoints(result, gridPosition, hasFastestLap =
   // DNF / DSQ
   if (status === 'Disqualified') {
     // 2026: drivers no longer penalized for DSQ
-    breakdown.finish = SCORING.DSQ_PENALTY_DRIVER;
+    breakdown.finish = rules.DSQ_PENALTY_DRIVER;
   } else if (position > 0 && !isRetired(status)) {
     // Race finish points
-    breakdown.finish = SCORING.RACE_FINISH[position] || 0;
+    breakdown.finish = rules.RACE_FINISH[position] || 0;
   } else {
     // DNF / not classified
-    breakdown.finish = SCORING.DNF_PENALTY;
+    breakdown.finish = rules.DNF_PENALTY;
   }
 
   // Position change (grid to finish)
   if (position > 0 && gridPosition > 0 && !isRetired(status)) {
     const change = gridPosition - position; // positive = gained, negative = lost
     breakdown.positionChange = change > 0
-      ? change * SCORING.POSITION_GAINED
-      : change * Math.abs(SCORING.POSITION_LOST);
+      ? change * rules.POSITION_GAINED
+      : change * Math.abs(rules.POSITION_LOST);
   }
 
   // Fastest lap bonus
   if (hasFastestLap) {
-    breakdown.fastestLap = SCORING.FASTEST_LAP;
+    breakdown.fastestLap = rules.FASTEST_LAP;
   }
 
   // Driver of the Day
   if (isDriverOfTheDay) {
-    breakdown.driverOfTheDay = SCORING.DRIVER_OF_THE_DAY;
+    breakdown.driverOfTheDay = rules.DRIVER_OF_THE_DAY;
   }
 
   breakdown.total = breakdown.finish + breakdown.positionChange +
@@ -61,12 +66,70 @@ export function calculateDriverRacePoints(result, gridPosition, hasFastestLap =
   return breakdown;
 }
 
+/**
+ * Calculate race points for a constructor from both of its cars.
+ * Scored separately from the drivers: finishes, position changes and overtakes
+ * count, driver-only bonuses (fastest lap, Driver of the Day) don't, and a
+ * disqualified car costs the constructor DSQ penalty.
+ * Cars are matched by the constructor on each result, so stand-in drivers count.
+ * @param {string} constructorId
+ * @param {Array} results - All race results
+ * @param {object} [overtakeCounts] - { [driverId]: scoring overtakes }
+ * @param {object} [rules] - Scoring rules (defaults to the active ruleset)
+ * @returns {object} Breakdown of points, in the same shape as a driver's
+ */
+export function calculateConstructorRacePoints(constructorId, results, overtakeCounts = {}, rules = getActiveRuleset().rules) {
+  const breakdown = {
+    finish: 0,
+    positionChange: 0,
+    fastestLap: 0,
+    driverOfTheDay: 0,
+    overtakes: 0,
+    total: 0,
+  };
+
+  for (const result of results) {
+    if (result.Constructor?.constructorId !== constructorId) continue;
+
+    const position = parseInt(result.position, 10);
+    const gridPosition = parseInt(result.grid, 10) || 0;
+    const status = result.status || '';
+
+    if (status === 'Disqualified') {
+      breakdown.finish += rules.DSQ_PENALTY_CONSTRUCTOR;
+    } else if (position > 0 && !isRetired(status)) {
+      breakdown.finish += rules.RACE_FINISH[position] || 0;
+    } else {
+      breakdown.finish += rules.DNF_PENALTY;
+    }
+
+    if (position > 0 && gridPosition > 0 && !isRetired(status)) {
+      const change = gridPosition - position;
+      breakdown.positionChange += change > 0
+        ? change * rules.POSITION_GAINED
+        : change * Math.abs(rules.POSITION_LOST);
+    }
+
+    breakdown.overtakes += (overtakeCounts[result.Driver?.driverId] || 0) * rules.OVERTAKE_BONUS;
+  }
+
+  breakdown.total = breakdown.finish + breakdown.positionChange + breakdown.overtakes;
+  return breakdown;
+}
+
 /**
  * Calculate fantasy points for a driver from sprint results.
+ * Mirrors race scoring: finish, position change against the sprint grid, DSQ rules.
+ * @param {object} result - API sprint result for one driver
+ * @param {number} gridPosition - Sprint starting grid position
+ * @param {boolean} hasFastestLap - Whether this driver set the sprint's fastest lap
+ * @param {object} [rules] - Scoring rules (defaults to the active ruleset)
+ * @returns {object} Breakdown of points
  */
-export function calculateDriverSprintPoints(result, hasFastestLap = false) {
+export function calculateDriverSprintPoints(result, gridPosition, hasFastestLap = false, rules = getActiveRuleset().rules) {
   const breakdown = {
     finish: 0,
+    positionChange: 0,
     fastestLap: 0,
     total: 0,
   };
@@ -74,27 +137,56 @@ export function calculateDriverSprintPoints(result, hasFastestLap = false) {
   const position = parseInt(result.position, 10);
   const status = result.status || '';
 
-  if (isRetired(status)) {
-    breakdown.finish = SCORING.DNF_PENALTY;
+  if (status === 'Disqualified') {
+    breakdown.finish = rules.DSQ_PENALTY_DRIVER;
+  } else if (position > 0 && !isRetired(status)) {
+    breakdown.finish = rules.SPRINT[position] || 0;
   } else {
-    breakdown.finish = SCORING.SPRINT[position] || 0;
+    breakdown.finish = rules.DNF_PENALTY;
+  }
+
+  // Position change (sprint grid to sprint finish)
+  if (position > 0 && gridPosition > 0 && !isRetired(status)) {
+    const change = gridPosition - position;
+    breakdown.positionChange = change > 0
+      ? change * rules.POSITION_GAINED
+      : change * Math.abs(rules.POSITION_LOST);
   }
 
   if (hasFastestLap) {
-    breakdown.fastestLap = SCORING.SPRINT_FASTEST_LAP;
+    breakdown.fastestLap = rules.SPRINT_FASTEST_LAP;
   }
 
-  breakdown.total = breakdown.finish + breakdown.fastestLap;
+  breakdown.total = breakdown.finish + breakdown.positionChange + breakdown.fastestLap;
   return breakdown;
 }
 
+/**
+ * Calculate qualifying points for a single driver.
+ * @param {object} [qualiResult] - API qualifying result for the driver
+ * @param {object} [rules] - Scoring rules (defaults to the active ruleset)
+ * @returns {{ points: number, position: number|null, noTime: boolean }}
+ */
+export function calculateDriverQualifyingPoints(qualiResult, rules = getActiveRuleset().rules) {
+  if (!qualiResult) return { points: 0, position: null, noTime: false };
+
+  const position = parseInt(qualiResult.position, 10) || null;
+  const setTime = [qualiResult.Q1, qualiResult.Q2, qualiResult.Q3].some(Boolean);
+  if (!setTime) {
+    return { points: rules.DRIVER_QUALIFYING.NO_TIME, position, noTime: true };
+  }
+
+  return { points: rules.DRIVER_QUALIFYING.POSITION[position] || 0, position, noTime: false };
+}
+
 /**
  * Calculate constructor qualifying bonus based on how far their drivers got.
  * @param {string} constructorId
  * @param {Array} qualifyingResults - All qualifying results for the race
+ * @param {object} [rules] - Scoring rules (defaults to the active ruleset)
  * @returns {object} Points breakdown
  */
-export function calculateConstructorQualifyingBonus(constructorId, qualifyingResults) {
+export function calculateConstructorQualifyingBonus(constructorId, qualifyingResults, rules = getActiveRuleset().rules) {
   const constructor = CONSTRUCTORS.find(c => c.id === constructorId);
   if (!constructor) return { bonus: 0 };
 
@@ -112,13 +204,13 @@ export function calculateConstructorQualifyingBonus(constructorId, qualifyingRes
 
   const totalQ2Plus = driversInQ2 + driversInQ3;
   let bonus = 0;
-  const rules = SCORING.CONSTRUCTOR_QUALIFYING;
+  const table = rules.CONSTRUCTOR_QUALIFYING;
 
-  if (driversInQ3 >= 2) bonus = rules.BOTH_Q3;
-  else if (driversInQ3 === 1) bonus = rules.ONE_Q3;
-  else if (totalQ2Plus >= 2) bonus = rules.BOTH_Q2;
-  else if (totalQ2Plus === 1) bonus = rules.ONE_Q2;
-  else bonus = rules.NEITHER_Q2;
+  if (driversInQ3 >= 2) bonus = table.BOTH_Q3;
+  else if (driversInQ3 === 1) bonus = table.ONE_Q3;
+  else if (totalQ2Plus >= 2) bonus = table.BOTH_Q2;
+  else if (totalQ2Plus === 1) bonus = table.ONE_Q2;
+  else bonus = table.NEITHER_Q2;
 
   return { bonus, driversInQ2, driversInQ3 };
 }
@@ -127,24 +219,25 @@ export function calculateConstructorQualifyingBonus(constructorId, qualifyingRes
  * Calculate pit stop fantasy points for a constructor.
  * @param {number} fastestPitTime - Fastest pit stop time in seconds for this team
  * @param {boolean} isFastestOverall - Whether this was the fastest pit stop of the race
+ * @param {object} [rules] - Scoring rules (defaults to the active ruleset)
  */
-export function calculatePitStopPoints(fastestPitTime, isFastestOverall = false) {
-  const rules = SCORING.PIT_STOP;
+export function calculatePitStopPoints(fastestPitTime, isFastestOverall = false, rules = getActiveRuleset().rules) {
+  const table = rules.PIT_STOP;
   let points = 0;
 
-  if (isFastestOverall) points += rules.FASTEST_OVERALL;
+  if (isFastestOverall) points += table.FASTEST_OVERALL;
 
   if (fastestPitTime > 0) {
-    if (fastestPitTime < rules.RECORD_TIME) {
-      points += rules.UNDER_2_0 + rules.RECORD_BONUS;
+    if (fastestPitTime < table.RECORD_TIME) {
+      points += table.UNDER_2_0 + table.RECORD_BONUS;
     } else if (fastestPitTime < 2.0) {
-      points += rules.UNDER_2_0;
+      points += table.UNDER_2_0;
     } else if (fastestPitTime < 2.2) {
-      points += rules.UNDER_2_2;
+      points += table.UNDER_2_2;
     } else if (fastestPitTime < 2.5) {
-      points += rules.UNDER_2_5;
+      points += table.UNDER_2_5;
     } else if (fastestPitTime < 3.0) {
-      points += rules.UNDER_3_0;
+      points += table.UNDER_3_0;
     }
   }
 
@@ -152,45 +245,244 @@ export function calculatePitStopPoints(fastestPitTime, isFastestOverall = false)
 }
 
 /**
- * Check streaks for a driver across recent races.
+ * Parse a Jolpica pit stop duration ("22.431" or "1:02.345") into seconds.
+ * @returns {number} Seconds, or 0 if unparseable
+ */
+function parsePitDuration(duration) {
+  if (!duration) return 0;
+  const parts = String(duration).split(':');
+  const seconds = parts.length === 2
+    ? parseInt(parts[0], 10) * 60 + parseFloat(parts[1])
+    : parseFloat(parts[0]);
+  return Number.isFinite(seconds) ? seconds : 0;
+}
+
+/**
+ * Find each constructor's fastest stop and the fastest stop of the race.
+ * Manual overrides are stationary times, which can't be compared with
+ * pit-lane durations, so a round with overrides uses only the overrides.
+ *
+ * @param {Array} pitStops - Jolpica PitStops for one race
+ * @param {Array} results - Race results, used to map drivers to constructors
+ * @param {object} overrides - { [constructorId]: seconds } for this round
+ * @returns {{ fastestByConstructor: object, fastestOverall: string|null }}
+ */
+export function aggregatePitStops(pitStops = [], results = [], overrides = {}) {
+  const driverTeam = {};
+  for (const r of results) {
+    driverTeam[r.Driver?.driverId] = r.Constructor?.constructorId;
+  }
+
+  const fastestByConstructor = {};
+  const overridden = Object.entries(overrides).filter(([, time]) => Number(time) > 0);
+  for (const [cId, time] of overridden) fastestByConstructor[cId] = Number(time);
+
+  for (const stop of overridden.length > 0 ? [] : pitStops) {
+    const cId = driverTeam[stop.driverId];
+    const time = parsePitDuration(stop.duration);
+    if (!cId || time <= 0) continue;
+    if (!fastestByConstructor[cId] || time < fastestByConstructor[cId]) {
+      fastestByConstructor[cId] = time;
+    }
+  }
+
+  let fastestOverall = null;
+  for (const [cId, time] of Object.entries(fastestByConstructor)) {
+    if (fastestOverall === null || time < fastestByConstructor[fastestOverall]) {
+      fastestOverall = cId;
+    }
+  }
+
+  return { fastestByConstructor, fastestOverall };
+}
+
+/**
+ * Count on-track overtakes per driver from lap-by-lap positions.
+ * A pass is a driver moving ahead of someone who was in front at the end of
+ * the previous lap. Swaps where either driver pitted on that lap or the lap
+ * before are pit-cycle shuffles, not overtakes, and are ignored; so are
+ * positions gained on drivers who dropped out of the timing.
+ * Opening-lap passes (measured against the grid) are counted separately so
+ * the scoring rules can decide whether they count.
+ *
+ * @param {Array} laps - Jolpica Laps: [{ number, Timings: [{ driverId, position }] }]
+ * @param {Array} pitStops - Jolpica PitStops for the same race
+ * @param {object} grid - { [driverId]: gridPosition } (0 = pit lane start)
+ * @returns {object} { [driverId]: { lapOne: number, racing: number } }
+ */
+export function countOvertakes(laps = [], pitStops = [], grid = {}) {
+  const pitLaps = {};
+  for (const stop of pitStops) {
+    if (!pitLaps[stop.driverId]) pitLaps[stop.driverId] = new Set();
+    pitLaps[stop.driverId].add(parseInt(stop.lap, 10));
+  }
+  const pittedAround = (driverId, lap) =>
+    pitLaps[driverId]?.has(lap) || pitLaps[driverId]?.has(lap - 1);
+
+  const counts = {};
+  const add = (driverId, key) => {
+    if (!counts[driverId]) counts[driverId] = { lapOne: 0, racing: 0 };
+    counts[driverId][key]++;
+  };
+
+  // Pit lane starters line up behind the whole grid
+  let previous = {};
+  for (const [driverId, pos] of Object.entries(grid)) {
+    previous[driverId] = pos > 0 ? pos : 99;
+  }
+
+  for (const lap of [...laps].sort((a, b) => Number(a.number) - Number(b.number))) {
+    const lapNumber = Number(lap.number);
+    const current = {};
+    for (const t of lap.Timings || []) {
+      current[t.driverId] = parseInt(t.position, 10);
+    }
+
+    const drivers = Object.keys(current).filter(id => previous[id] !== undefined);
+    for (const a of drivers) {
+      if (pittedAround(a, lapNumber)) continue;
+      for (const b of drivers) {
+        if (a === b || pittedAround(b, lapNumber)) continue;
+        if (previous[a] > previous[b] && current[a] < current[b]) {
+          add(a, lapNumber === 1 ? 'lapOne' : 'racing');
+        }
+      }
+    }
+
+    previous = current;
+  }
+
+  return counts;
+}
+
+function qualifiedTop10(race, driverId) {
+  const q = race.qualifying?.find(r => r.Driver?.driverId === driverId);
+  const pos = q ? parseInt(q.position, 10) : 99;
+  return pos <= 10;
+}
+
+function finishedTop10(race, driverId) {
+  const r = race.results?.find(res => res.Driver?.driverId === driverId);
+  if (!r || isRetired(r.status || '')) return false;
+  return parseInt(r.position, 10) <= 10;
+}
+
+// A streak pays out each time it reaches a multiple of its length
+function streakCompleted(streak, length) {
+  return streak > 0 && streak % length === 0;
+}
+
+/**
+ * Check streaks for a driver across an ordered run of races.
  * @param {string} driverId
- * @param {Array} recentResults - Last N race results
+ * @param {Array} races - { results, qualifying } per round, oldest first, ending with the round being scored
+ * @param {object} [rules] - Scoring rules (defaults to the active ruleset)
+ * @returns {{ qualiStreak: number, finishStreak: number, bonusPoints: number }}
  */
-export function checkDriverStreaks(driverId, recentResults) {
+export function checkDriverStreaks(driverId, races, rules = getActiveRuleset().rules) {
   let qualiStreak = 0;
   let finishStreak = 0;
   let bonusPoints = 0;
 
-  // Check most recent races first
-  for (const race of recentResults) {
-    const qualiResult = race.qualifying?.find(q => q.Driver?.driverId === driverId);
-    const raceResult = race.results?.find(r => r.Driver?.driverId === driverId);
+  for (const race of races) {
+    qualiStreak = qualifiedTop10(race, driverId) ? qualiStreak + 1 : 0;
+    finishStreak = finishedTop10(race, driverId) ? finishStreak + 1 : 0;
+  }
 
-    const qualiPos = qualiResult ? parseInt(qualiResult.position, 10) : 99;
-    const finishPos = raceResult ? parseInt(raceResult.position, 10) : 99;
+  const { STREAKS } = rules;
+  if (streakCompleted(qualiStreak, STREAKS.DRIVER_LENGTH)) bonusPoints += STREAKS.DRIVER_QUALI_TOP10_5;
+  if (streakCompleted(finishStreak, STREAKS.DRIVER_LENGTH)) bonusPoints += STREAKS.DRIVER_FINISH_TOP10_5;
 
-    if (qualiPos <= 10) qualiStreak++;
-    else qualiStreak = 0;
+  return { qualiStreak, finishStreak, bonusPoints };
+}
 
-    if (finishPos <= 10) finishStreak++;
-    else finishStreak = 0;
+/**
+ * Check streaks for a constructor: both cars in the top 10, race after race.
+ * Cars are matched by the constructor on each result, so stand-in drivers count.
+ * @param {string} constructorId
+ * @param {Array} races - { results, qualifying } per round, oldest first, ending with the round being scored
+ * @param {object} [rules] - Scoring rules (defaults to the active ruleset)
+ * @returns {{ qualiStreak: number, finishStreak: number, bonusPoints: number }}
+ */
+export function checkConstructorStreaks(constructorId, races, rules = getActiveRuleset().rules) {
+  let qualiStreak = 0;
+  let finishStreak = 0;
+  let bonusPoints = 0;
+
+  for (const race of races) {
+    const carIds = (race.results || race.qualifying || [])
+      .filter(r => r.Constructor?.constructorId === constructorId)
+      .map(r => r.Driver?.driverId);
+    const qualiTop10 = carIds.filter(id => qualifiedTop10(race, id)).length;
+    const finishTop10 = carIds.filter(id => finishedTop10(race, id)).length;
+
+    qualiStreak = qualiTop10 >= 2 ? qualiStreak + 1 : 0;
+    finishStreak = finishTop10 >= 2 ? finishStreak + 1 : 0;
   }
 
-  if (qualiStreak >= 5) bonusPoints += SCORING.STREAKS.DRIVER_QUALI_TOP10_5;
-  if (finishStreak >= 5) bonusPoints += SCORING.STREAKS.DRIVER_FINISH_TOP10_5;
+  const { STREAKS } = rules;
+  if (streakCompleted(qualiStreak, STREAKS.CONSTRUCTOR_LENGTH)) bonusPoints += STREAKS.CONSTRUCTOR_QUALI_TOP10_3;
+  if (streakCompleted(finishStreak, STREAKS.CONSTRUCTOR_LENGTH)) bonusPoints += STREAKS.CONSTRUCTOR_FINISH_TOP10_3;
 
   return { qualiStreak, finishStreak, bonusPoints };
 }
 
+/**
+ * Head-to-head between teammates in qualifying and the race.
+ * Cars are paired by the constructor on each result, so stand-in drivers count;
+ * teams without exactly two classified cars are skipped.
+ * @param {Array} results - Race results
+ * @param {Array} qualifying - Qualifying results
+ * @returns {object} { [driverId]: { teammateId, qualifying: boolean|null, race: boolean|null } }
+ *   true when the driver beat their teammate, null when there was no comparison
+ */
+export function compareTeammates(results = [], qualifying = []) {
+  const cars = {};
+  for (const r of results) {
+    const cId = r.Constructor?.constructorId;
+    if (!cId) continue;
+    (cars[cId] = cars[cId] || []).push(r);
+  }
+
+  const qualiPosition = (driverId) => {
+    const q = qualifying.find(row => row.Driver?.driverId === driverId);
+    return q ? parseInt(q.position, 10) || null : null;
+  };
+  const beats = (a, b) => (a && b ? a < b : null);
+
+  const battles = {};
+  for (const pair of Object.values(cars)) {
+    if (pair.length !== 2) continue;
+    const [a, b] = pair.map(r => ({
+      id: r.Driver?.driverId,
+      quali: qualiPosition(r.Driver?.driverId),
+      race: parseInt(r.position, 10) || null,
+    }));
+    battles[a.id] = { teammateId: b.id, qualifying: beats(a.quali, b.quali), race: beats(a.race, b.race) };
+    battles[b.id] = { teammateId: a.id, qualifying: beats(b.quali, a.quali), race: beats(b.race, a.race) };
+  }
+  return battles;
+}
+
 /**
  * Process a full race weekend and calculate all fantasy points.
  * This is the main hook that fires after race data is received.
  *
- * @param {object} raceData - { results, qualifying, sprint, round, raceName }
+ * @param {object} raceData - { results, qualifying, sprint, pitStops, pitStopOverrides,
+ *   driverOfTheDay, overtakes, previousRounds, round, raceName, ruleset, silent }
+ *   overtakes: countOvertakes() output for the race
+ *   previousRounds: earlier weekends ({ results, qualifying }) in round order, for streaks
+ *   ruleset: a registered ruleset ({ id, rules }); defaults to the active ruleset
+ *   silent: skip the FANTASY_SCORES_CALCULATED hook (for hypothetical weekends)
  * @returns {object} Fantasy scores per driver and constructor
  */
 export function processRaceWeekend(raceData) {
-  const { results = [], qualifying = [], sprint = [], round, raceName } = raceData;
+  const {
+    results = [], qualifying = [], sprint = [], pitStops = [], pitStopOverrides = {},
+    driverOfTheDay = null, overtakes = {}, previousRounds = [], round, raceName,
+    ruleset = getActiveRuleset(), silent = false,
+  } = raceData;
+  const { rules } = ruleset;
 
   const driverScores = {};
   const constructorScores = {};
@@ -205,11 +497,26 @@ export function processRaceWeekend(raceData) {
     const constructorId = result.Constructor?.constructorId;
     const gridPos = parseInt(result.grid, 10) || 0;
     const hasFastestLap = driverId === fastestLapDriverId;
+    const isDriverOfTheDay = driverId === driverOfTheDay;
+
+    const racePoints = calculateDriverRacePoints(result, gridPos, hasFastestLap, isDriverOfTheDay, rules);
 
-    const racePoints = calculateDriverRacePoints(result, gridPos, hasFastestLap, false);
+    // Qualifying position
+    const qualiResult = qualifying.find(q => q.Driver?.driverId === driverId);
+    const qualiPoints = calculateDriverQualifyingPoints(qualiResult, rules);
+
+    // On-track passes, on top of the net grid-to-finish change
+    const passes = overtakes[driverId] || { lapOne: 0, racing: 0 };
+    const overtakeCount = passes.racing + (rules.OVERTAKE_LAP_ONE ? passes.lapOne : 0);
+    racePoints.overtakes = overtakeCount * rules.OVERTAKE_BONUS;
+    racePoints.total += racePoints.overtakes;
 
     driverScores[driverId] = {
       ...racePoints,
+      qualifying: qualiPoints.points,
+      total: racePoints.total + qualiPoints.points,
+      qualifyingPosition: qualiPoints.position,
+      overtakeCount,
       constructorId,
       driverName: `${result.Driver?.givenName} ${result.Driver?.familyName}`,
       position: parseInt(result.position, 10),
@@ -217,28 +524,47 @@ export function processRaceWeekend(raceData) {
       status: result.status,
     };
 
-    // Aggregate constructor scores from both drivers' race finishes
     if (!constructorScores[constructorId]) {
       constructorScores[constructorId] = {
         racePoints: 0,
         qualifyingBonus: 0,
         pitStopPoints: 0,
+        sprintPoints: 0,
+        streakBonus: 0,
         total: 0,
       };
     }
-    constructorScores[constructorId].racePoints += racePoints.total;
+  }
+
+  // Constructor race points come from both cars but are scored on their own
+  const overtakeCounts = {};
+  for (const [driverId, score] of Object.entries(driverScores)) {
+    overtakeCounts[driverId] = score.overtakeCount;
+  }
+  for (const [cId, c] of Object.entries(constructorScores)) {
+    c.race = calculateConstructorRacePoints(cId, results, overtakeCounts, rules);
+    c.racePoints = c.race.total;
   }
 
   // Process qualifying bonuses for constructors
   if (qualifying.length > 0) {
     for (const constructor of CONSTRUCTORS) {
-      const qualiBonus = calculateConstructorQualifyingBonus(constructor.id, qualifying);
+      const qualiBonus = calculateConstructorQualifyingBonus(constructor.id, qualifying, rules);
       if (constructorScores[constructor.id]) {
         constructorScores[constructor.id].qualifyingBonus = qualiBonus.bonus;
       }
     }
   }
 
+  // Process pit stops: each team's fastest stop, plus the race-fastest bonus
+  const { fastestByConstructor, fastestOverall } = aggregatePitStops(pitStops, results, pitStopOverrides);
+  for (const [cId, time] of Object.entries(fastestByConstructor)) {
+    if (constructorScores[cId]) {
+      constructorScores[cId].fastestPitStop = time;
+      constructorScores[cId].pitStopPoints = calculatePitStopPoints(time, cId === fastestOverall, rules);
+    }
+  }
+
   // Process sprint results
   const sprintScores = {};
   if (sprint.length > 0) {
@@ -248,77 +574,115 @@ export function processRaceWeekend(raceData) {
     for (const result of sprint) {
       const driverId = result.Driver?.driverId;
       const hasFastestLap = driverId === sprintFLDriverId;
-      sprintScores[driverId] = calculateDriverSprintPoints(result, hasFastestLap);
+      const sprintGrid = parseInt(result.grid, 10) || 0;
+      sprintScores[driverId] = calculateDriverSprintPoints(result, sprintGrid, hasFastestLap, rules);
 
-      // Add sprint points to driver totals
+      // Add sprint points to driver totals, keeping the sprint breakdown alongside
       if (driverScores[driverId]) {
+        driverScores[driverId].sprint = sprintScores[driverId];
         driverScores[driverId].sprintPoints = sprintScores[driverId].total;
         driverScores[driverId].total += sprintScores[driverId].total;
       }
+
+      // Sprint fastest lap is a driver-only bonus, like the race's, and a
+      // disqualified car costs its constructor the constructor penalty
+      const constructorId = result.Constructor?.constructorId;
+      if (constructorScores[constructorId]) {
+        const { total, fastestLap, finish } = sprintScores[driverId];
+        const constructorFinish = result.status === 'Disqualified' ? rules.DSQ_PENALTY_CONSTRUCTOR : finish;
+        constructorScores[constructorId].sprintPoints += total - fastestLap - finish + constructorFinish;
+      }
     }
   }
 
+  // Teammate battles: the record is always kept, points only when the category is on
+  const battles = compareTeammates(results, qualifying);
+  const teammateRules = rules.TEAMMATE || {};
+  for (const [driverId, score] of Object.entries(driverScores)) {
+    const battle = battles[driverId] || null;
+    score.teammate = battle;
+    score.teammateBonus = teammateRules.ENABLED && battle
+      ? (battle.qualifying ? teammateRules.QUALIFYING : 0) + (battle.race ? teammateRules.RACE : 0)
+      : 0;
+    score.total += score.teammateBonus;
+  }
+
+  // Streaks run over every earlier round plus this one
+  const streakRaces = [...previousRounds, { results, qualifying }];
+  for (const [driverId, score] of Object.entries(driverScores)) {
+    const streak = checkDriverStreaks(driverId, streakRaces, rules);
+    score.streaks = { qualifying: streak.qualiStreak, finish: streak.finishStreak };
+    score.streakBonus = streak.bonusPoints;
+    score.total += streak.bonusPoints;
+  }
+  for (const [cId, c] of Object.entries(constructorScores)) {
+    const streak = checkConstructorStreaks(cId, streakRaces, rules);
+    c.streaks = { qualifying: streak.qualiStreak, finish: streak.finishStreak };
+    c.streakBonus = streak.bonusPoints;
+  }
+
   // Total constructor scores
   for (const cId of Object.keys(constructorScores)) {
     const c = constructorScores[cId];
-    c.total = c.racePoints + c.qualifyingBonus + c.pitStopPoints;
+    c.total = c.racePoints + c.sprintPoints + c.qualifyingBonus + c.pitStopPoints + c.streakBonus;
   }
 
   const weekendResult = {
     round,
     raceName,
+    rulesetId: ruleset.id,
+    driverOfTheDay,
     driverScores,
     constructorScores,
     sprintScores,
     timestamp: new Date().toISOString(),
   };
 
-  emit(HookEvents.FANTASY_SCORES_CALCULATED, weekendResult);
+  if (!silent) emit(HookEvents.FANTASY_SCORES_CALCULATED, weekendResult);
 
   return weekendResult;
 }
 
 /**
  * Calculate total fantasy points for a user's team for one race.
- * Applies boosts (DRS, Mega, No Negative, etc).
+ * Applies boosts (DRS, Mega, No Negative, etc) as defined in boosts.js.
  *
  * @param {object} team - User's team { drivers: [id,...], constructors: [id, id] }
  * @param {object} weekendScores - Output of processRaceWeekend
  * @param {object} boosts - Active boosts { drs: { target }, mega: { target }, 'no-negative': { active }, ... }
- * @returns {object} Team score breakdown
+ * @returns {object} Team score breakdown, with boostLedger listing what each played boost was worth
  */
 export function calculateTeamScore(team, weekendScores, boosts = {}) {
   const { driverScores, constructorScores } = weekendScores;
   let teamTotal = 0;
   const driverBreakdown = {};
-  const noNegative = boosts['no-negative']?.active;
-
-  // Resolve boost targets (support both old format { drs: driverId } and new { drs: { target: driverId } })
-  const getTarget = (key) => {
-    const b = boosts[key];
-    if (!b) return null;
-    if (typeof b === 'string') return b;
-    return b.target || null;
-  };
+  const noNegative = floorsNegatives(boosts);
+  const boostPoints = {};
+  let floorPoints = 0;
 
   for (const driverId of team.drivers) {
     if (!driverId) continue;
     const score = driverScores[driverId];
     if (!score) continue;
 
-    let multiplier = 1;
-    if (getTarget('drs') === driverId) multiplier = 2;
-    if (getTarget('mega') === driverId) multiplier = 3;
-    if (getTarget('extra-drs') === driverId) multiplier = Math.max(multiplier, 2);
-
+    const { key: boost, multiplier } = resolveDriverBoost(driverId, boosts);
     let adjusted = score.total * multiplier;
+    if (boost) boostPoints[boost] = adjusted - score.total;
+
     // No Negative: floor individual driver score at 0
-    if (noNegative && adjusted < 0) adjusted = 0;
+    const floored = Boolean(noNegative && adjusted < 0);
+    if (floored) {
+      floorPoints -= adjusted;
+      adjusted = 0;
+    }
 
     driverBreakdown[driverId] = {
       base: score.total,
       multiplier,
+      boost,
+      floored,
       adjusted,
+      total: adjusted,
       breakdown: score,
     };
     teamTotal += adjusted;
@@ -335,25 +699,56 @@ export function calculateTeamScore(team, weekendScores, boosts = {}) {
     if (!cScore) continue;
 
     let cPoints = cScore.total;
-    if (noNegative && cPoints < 0) cPoints = 0;
+    const floored = Boolean(noNegative && cPoints < 0);
+    if (floored) {
+      floorPoints -= cPoints;
+      cPoints = 0;
+    }
 
-    constructorBreakdown[cId] = cPoints;
+    constructorBreakdown[cId] = {
+      base: cScore.total,
+      floored,
+      total: cPoints,
+      breakdown: cScore,
+    };
     constructorTotal += cPoints;
   }
   teamTotal += constructorTotal;
 
+  // One ledger line per played boost, in registry order
+  const boostLedger = [];
+  for (const def of BOOSTS) {
+    const boost = boosts[def.key];
+    if (!isBoostPlayed(boost)) continue;
+    let points = null;
+    if (def.multiplier) points = boostPoints[def.key] || 0;
+    else if (def.floorsNegatives) points = floorPoints;
+    boostLedger.push({
+      key: def.key,
+      target: def.target === 'driver' ? boostTarget(boost) : null,
+      points,
+    });
+  }
+
   return {
     teamTotal,
     driverBreakdown,
     constructorTotal,
     constructorBreakdown,
     constructors,
+    boostLedger,
   };
 }
 
 // ===== Helpers =====
 
-function isRetired(status) {
+/**
+ * Whether a classified result status means the driver retired (or was
+ * disqualified) rather than being classified as a finisher.
+ * @param {string} status - Jolpica result status
+ * @returns {boolean}
+ */
+export function isRetired(status) {
   if (!status) return false;
   const s = status.toLowerCase();
   return s !== 'finished' && s !== '+1 lap' && s !== '+2 laps' &&
@@ -0,0 +1,285 @@
+// Team Optimizer
+// Finds the highest-projected 5-driver + 2-constructor lineup that fits a
+// budget, and the best one- or two-transfer moves from an existing team once
+// the transfer penalty is paid. Projected points come from a selectable
+// projection source.
+
+import { DRIVERS, CONSTRUCTORS, BUDGET } from '../config.js';
+import { calculateDriverQualifyingPoints, calculateConstructorQualifyingBonus } from './engine.js';
+import { getActiveRuleset } from './rulesets.js';
+import { getDriverPrice, getConstructorPrice } from './prices.js';
+import { projectRound } from './projection.js';
+
+const DRIVER_SLOTS = 5;
+const CONSTRUCTOR_SLOTS = 2;
+
+// ===== Projection Sources =====
+// A source turns a context into { drivers: { [id]: points }, constructors: { [id]: points } }.
+// Context: { weekendScores: processRaceWeekend output in round order,
+//            qualifying: QualifyingResults for the next race (or null),
+//            circuitHistory: past results at its circuit, rules }
+
+function averageProjection(weekendScores) {
+  const average = (key, id) => {
+    const totals = weekendScores.map(ws => ws[key]?.[id]?.total).filter(t => t !== undefined);
+    return totals.length > 0 ? totals.reduce((sum, t) => sum + t, 0) / totals.length : 0;
+  };
+  return {
+    drivers: Object.fromEntries(DRIVERS.map(d => [d.id, average('driverScores', d.id)])),
+    constructors: Object.fromEntries(CONSTRUCTORS.map(c => [c.id, average('constructorScores', c.id)])),
+  };
+}
+
+// Qualifying points as scored, and a race finish where each driver qualified
+function qualifyingProjection(qualifying, rules) {
+  const drivers = Object.fromEntries(DRIVERS.map(d => [d.id, 0]));
+  const raceFinish = {};
+  for (const result of qualifying || []) {
+    const driverId = result.Driver?.driverId;
+    if (!driverId) continue;
+    raceFinish[driverId] = rules.RACE_FINISH[parseInt(result.position, 10)] || 0;
+    drivers[driverId] = calculateDriverQualifyingPoints(result, rules).points + raceFinish[driverId];
+  }
+
+  const constructors = {};
+  for (const c of CONSTRUCTORS) {
+    const race = c.drivers.reduce((sum, id) => sum + (raceFinish[id] || 0), 0);
+    constructors[c.id] = race + calculateConstructorQualifyingBonus(c.id, qualifying || [], rules).bonus;
+  }
+  return { drivers, constructors };
+}
+
+export const PROJECTION_SOURCES = {
+  'season-average': {
+    name: 'Season average',
+    project: ({ weekendScores }) => averageProjection(weekendScores),
+  },
+  'recent-form': {
+    name: 'Last 3 rounds',
+    project: ({ weekendScores }) => averageProjection(weekendScores.slice(-3)),
+  },
+  qualifying: {
+    name: 'Qualifying order',
+    project: ({ qualifying, rules }) => qualifyingProjection(qualifying, rules),
+  },
+  model: {
+    name: 'Projection model',
+    project: (context) => {
+      const { drivers, constructors } = projectRound(context);
+      const expected = scores => Object.fromEntries(Object.entries(scores).map(([id, p]) => [id, p.expected]));
+      return { drivers: expected(drivers), constructors: expected(constructors) };
+    },
+  },
+};
+
+/**
+ * Projected points for every driver and constructor.
+ * @param {string} sourceId - A key of PROJECTION_SOURCES
+ * @param {object} context - { weekendScores, qualifying, circuitHistory?, rules? }
+ * @returns {{ drivers: object, constructors: object }}
+ */
+export function projectPoints(sourceId, context) {
+  const source = PROJECTION_SOURCES[sourceId];
+  if (!source) throw new Error(`Unknown projection source: ${sourceId}`);
+  return source.project({
+    weekendScores: [],
+    qualifying: null,
+    circuitHistory: [],
+    rules: getActiveRuleset().rules,
+    ...context,
+  });
+}
+
+// ===== Lineup Optimizer =====
+
+// Prices move in $0.1M steps, so budgets are solved in tenths
+const toUnits = price => Math.round(price * 10);
+
+function priceLookup(prices) {
+  return {
+    driver: id => prices?.drivers?.[id] ?? getDriverPrice(id),
+    constructor: id => prices?.constructors?.[id] ?? getConstructorPrice(id),
+  };
+}
+
+function combinations(items, size) {
+  if (size === 0) return [[]];
+  const result = [];
+  items.forEach((item, i) => {
+    for (const rest of combinations(items.slice(i + 1), size - 1)) result.push([item, ...rest]);
+  });
+  return result;
+}
+
+/**
+ * Best drivers for each count and budget: a 0/1 knapsack with an item-count
+ * dimension. best[k][b] is the most points from exactly k drivers costing at
+ * most b units; take[i][k][b] records whether driver i was used to reach it.
+ */
+function solveDrivers(pool, maxCount, capacity) {
+  const best = Array.from({ length: maxCount + 1 }, (_, k) => new Array(capacity + 1).fill(k === 0 ? 0 : -Infinity));
+  const take = pool.map(() => Array.from({ length: maxCount + 1 }, () => new Uint8Array(capacity + 1)));
+
+  pool.forEach((driver, i) => {
+    for (let k = maxCount; k >= 1; k--) {
+      for (let b = capacity; b >= driver.cost; b--) {
+        const withDriver = best[k - 1][b - driver.cost] + driver.points;
+        if (withDriver > best[k][b]) {
+          best[k][b] = withDriver;
+          take[i][k][b] = 1;
+        }
+      }
+    }
+  });
+
+  const pick = (count, budget) => {
+    const picked = [];
+    let k = count;
+    let b = budget;
+    for (let i = pool.length - 1; i >= 0 && k > 0; i--) {
+      if (take[i][k][b]) {
+        picked.push(pool[i].id);
+        k--;
+        b -= pool[i].cost;
+      }
+    }
+    return picked;
+  };
+
+  return { best, pick };
+}
+
+/**
+ * The highest-projected full lineup that fits the budget.
+ * @param {object} projection - Output of projectPoints
+ * @param {object} [options]
+ * @param {number} [options.budget] - $M for the whole lineup (default BUDGET.STARTING)
+ * @param {string[]} [options.pinnedDrivers] - Drivers that must be in the lineup
+ * @param {string[]} [options.pinnedConstructors] - Constructors that must be in the lineup
+ * @param {object} [options.prices] - { drivers, constructors } by id (default: current prices)
+ * @returns {{ drivers: string[], constructors: string[], cost: number, points: number }|null}
+ *   null when the pins can't fit the budget
+ */
+export function optimizeTeam(projection, {
+  budget = BUDGET.STARTING, pinnedDrivers = [], pinnedConstructors = [], prices,
+} = {}) {
+  const priceOf = priceLookup(prices);
+  const pointsOf = (kind, id) => projection[kind]?.[id] || 0;
+
+  const pinnedCost = pinnedDrivers.reduce((sum, id) => sum + toUnits(priceOf.driver(id)), 0) +
+    pinnedConstructors.reduce((sum, id) => sum + toUnits(priceOf.constructor(id)), 0);
+  const capacity = toUnits(budget) - pinnedCost;
+  const driversNeeded = DRIVER_SLOTS - pinnedDrivers.length;
+  const constructorsNeeded = CONSTRUCTOR_SLOTS - pinnedConstructors.length;
+  if (capacity < 0 || driversNeeded < 0 || constructorsNeeded < 0) return null;
+
+  const driverPool = DRIVERS
+    .filter(d => !pinnedDrivers.includes(d.id))
+    .map(d => ({ id: d.id, cost: toUnits(priceOf.driver(d.id)), points: pointsOf('drivers', d.id) }));
+  const constructorPool = CONSTRUCTORS
+    .filter(c => !pinnedConstructors.includes(c.id))
+    .map(c => ({ id: c.id, cost: toUnits(priceOf.constructor(c.id)), points: pointsOf('constructors', c.id) }));
+
+  const drivers = solveDrivers(driverPool, driversNeeded, capacity);
+
+  // Few enough constructor pairs to try them all against the driver table
+  let bestLineup = null;
+  for (const pair of combinations(constructorPool, constructorsNeeded)) {
+    const pairCost = pair.reduce((sum, c) => sum + c.cost, 0);
+    const left = capacity - pairCost;
+    if (left < 0) continue;
+    const driverPoints = drivers.best[driversNeeded][left];
+    if (driverPoints === -Infinity) continue;
+    const points = driverPoints + pair.reduce((sum, c) => sum + c.points, 0);
+    if (!bestLineup || points > bestLineup.points) bestLineup = { pair, left, points };
+  }
+  if (!bestLineup) return null;
+
+  const lineup = {
+    drivers: [...pinnedDrivers, ...drivers.pick(driversNeeded, bestLineup.left)],
+    constructors: [...pinnedConstructors, ...bestLineup.pair.map(c => c.id)],
+  };
+  const cost = lineup.drivers.reduce((sum, id) => sum + priceOf.driver(id), 0) +
+    lineup.constructors.reduce((sum, id) => sum + priceOf.constructor(id), 0);
+
+  return {
+    ...lineup,
+    cost: Math.round(cost * 10) / 10,
+    points: Math.round(bestLineup.points * 10) / 10,
+  };
+}
+
+// ===== Transfer Suggestions =====
+
+/**
+ * The best one- or two-transfer moves from an existing team.
+ * @param {object} team - { drivers, constructors, budget } where budget is the money in the bank
+ * @param {object} projection - Output of projectPoints
+ * @param {object} [options]
+ * @param {number} [options.maxTransfers] - 1 or 2 (default 2)
+ * @param {number} [options.freeTransfers] - Transfers still free this window (default: all free)
+ * @param {number} [options.penalty] - Points per transfer over the free ones (default: active ruleset)
+ * @param {string[]} [options.pinned] - Driver/constructor ids that must stay
+ * @param {object} [options.prices] - { drivers, constructors } by id (default: current prices)
+ * @param {number} [options.limit] - How many moves to return (default 5)
+ * @returns {Array<{ transfers: Array<{ type, out, in }>, gain: number, penalty: number, net: number, bank: number }>}
+ *   Moves that improve the projected score, best first
+ */
+export function suggestTransfers(team, projection, {
+  maxTransfers = 2, freeTransfers = Infinity, penalty = getActiveRuleset().rules.TRANSFER_PENALTY,
+  pinned = [], prices, limit = 5,
+} = {}) {
+  const priceOf = priceLookup(prices);
+  const held = [
+    ...(team.drivers || []).filter(Boolean).map(id => ({ type: 'driver', id })),
+    ...(team.constructors || []).filter(Boolean).map(id => ({ type: 'constructor', id })),
+  ];
+  const pointsOf = ({ type, id }) => projection[type === 'driver' ? 'drivers' : 'constructors']?.[id] || 0;
+
+  // Every single swap of a held asset for one of the same type not on the team
+  const swaps = [];
+  for (const out of held.filter(a => !pinned.includes(a.id))) {
+    const market = out.type === 'driver' ? DRIVERS : CONSTRUCTORS;
+    for (const candidate of market) {
+      if (held.some(a => a.id === candidate.id)) continue;
+      const incoming = { type: out.type, id: candidate.id };
+      swaps.push({
+        type: out.type,
+        out: out.id,
+        in: candidate.id,
+        gain: pointsOf(incoming) - pointsOf(out),
+        spend: priceOf[out.type](candidate.id) - priceOf[out.type](out.id),
+      });
+    }
+  }
+
+  const moves = [];
+  const addMove = (transfers) => {
+    const spend = transfers.reduce((sum, t) => sum + t.spend, 0);
+    const bank = Math.round(((team.budget ?? 0) - spend) * 10) / 10;
+    if (bank < 0) return;
+    const gain = transfers.reduce((sum, t) => sum + t.gain, 0);
+    const cost = Math.max(0, transfers.length - freeTransfers) * penalty;
+    const net = gain + cost;
+    if (net <= 0) return;
+    moves.push({
+      transfers: transfers.map(({ type, out, in: incoming }) => ({ type, out, in: incoming })),
+      gain: Math.round(gain * 10) / 10,
+      penalty: cost,
+      net: Math.round(net * 10) / 10,
+      bank,
+    });
+  };
+
+  for (const swap of swaps) addMove([swap]);
+  if (maxTransfers >= 2) {
+    for (let i = 0; i < swaps.length; i++) {
+      for (let j = i + 1; j < swaps.length; j++) {
+        if (swaps[i].out === swaps[j].out || swaps[i].in === swaps[j].in) continue;
+        addMove([swaps[i], swaps[j]]);
+      }
+    }
+  }
+
+  return moves.sort((a, b) => b.net - a.net || a.transfers.length - b.transfers.length).slice(0, limit);
+}
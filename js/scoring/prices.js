@@ -0,0 +1,144 @@
+// Price Engine
+// Driver and constructor prices move after every scored round based on
+// rolling fantasy form (see PRICING in config.js). The season-start prices in
+// DRIVERS/CONSTRUCTORS stay as the base; current prices live here.
+// Prices are rebuilt from official-rules weekend scores so every league
+// member sees the same market whatever scoring rules their league uses.
+
+import { DRIVERS, CONSTRUCTORS, PRICING } from '../config.js';
+import { emit, HookEvents } from '../services/hooks.js';
+
+let priceHistory = {};
+let current = basePrices();
+
+function basePrices() {
+  return {
+    drivers: Object.fromEntries(DRIVERS.map(d => [d.id, d.price])),
+    constructors: Object.fromEntries(CONSTRUCTORS.map(c => [c.id, c.price])),
+  };
+}
+
+function roundPrice(price) {
+  return Math.round(price * 10) / 10;
+}
+
+/**
+ * Price change for one driver or constructor after a round.
+ * @param {number} price - Price going into the round ($M)
+ * @param {number[]} recentPoints - Fantasy points over the form window, latest last
+ * @param {object} [pricing] - PRICING-shaped settings
+ * @returns {number} Change in $M (already capped by the price tier)
+ */
+export function calculatePriceChange(price, recentPoints, pricing = PRICING) {
+  if (recentPoints.length === 0 || !(price > 0)) return 0;
+
+  const average = recentPoints.reduce((sum, pts) => sum + pts, 0) / recentPoints.length;
+  const pointsPerMillion = average / price;
+
+  const tier = pricing.TIERS.find(t => price >= t.MIN_PRICE) || pricing.TIERS[pricing.TIERS.length - 1];
+  let band = pricing.PPM_BANDS.findIndex(min => pointsPerMillion >= min);
+  if (band === -1) band = pricing.PPM_BANDS.length;
+  return tier.CHANGES[band];
+}
+
+/**
+ * Replay the season's price changes.
+ * @param {Array} weekendScores - processRaceWeekend output for every scored round, in round order
+ * @param {object} [pricing]
+ * @returns {object} { [round]: { drivers: { [id]: price }, constructors: { [id]: price } } }
+ *   with the prices after that round
+ */
+export function buildPriceHistory(weekendScores, pricing = PRICING) {
+  const prices = basePrices();
+  const form = { drivers: {}, constructors: {} };
+  const history = {};
+
+  for (const ws of weekendScores) {
+    const scored = { drivers: ws.driverScores || {}, constructors: ws.constructorScores || {} };
+    for (const kind of ['drivers', 'constructors']) {
+      for (const [id, price] of Object.entries(prices[kind])) {
+        // An asset that didn't take part scores nothing for the round
+        const recent = [...(form[kind][id] || []), scored[kind][id]?.total || 0].slice(-pricing.WINDOW);
+        form[kind][id] = recent;
+        const next = roundPrice(price + calculatePriceChange(price, recent, pricing));
+        prices[kind][id] = Math.max(pricing.MIN_PRICE, next);
+      }
+    }
+    history[ws.round] = { drivers: { ...prices.drivers }, constructors: { ...prices.constructors } };
+  }
+  return history;
+}
+
+/**
+ * Make the latest round of a price history the current prices.
+ * Emits PRICES_UPDATED when any price changed.
+ * @param {object} history - Output of buildPriceHistory
+ */
+export function applyPriceHistory(history = {}) {
+  const rounds = Object.keys(history).map(Number).sort((a, b) => a - b);
+  const round = rounds.length > 0 ? rounds[rounds.length - 1] : null;
+  const next = basePrices();
+  if (round != null) {
+    Object.assign(next.drivers, history[round].drivers);
+    Object.assign(next.constructors, history[round].constructors);
+  }
+
+  const changed = JSON.stringify(next) !== JSON.stringify(current);
+  priceHistory = history;
+  current = next;
+  if (changed) emit(HookEvents.PRICES_UPDATED, { round, ...getPrices() });
+}
+
+/**
+ * @returns {object} Prices after each scored round (see buildPriceHistory)
+ */
+export function getPriceHistory() {
+  return priceHistory;
+}
+
+/**
+ * @returns {{ drivers: object, constructors: object }} Current prices by id
+ */
+export function getPrices() {
+  return { drivers: { ...current.drivers }, constructors: { ...current.constructors } };
+}
+
+export function getDriverPrice(driverId) {
+  return current.drivers[driverId] ?? DRIVERS.find(d => d.id === driverId)?.price ?? 0;
+}
+
+export function getConstructorPrice(constructorId) {
+  return current.constructors[constructorId] ?? CONSTRUCTORS.find(c => c.id === constructorId)?.price ?? 0;
+}
+
+// ===== Predictions =====
+
+/**
+ * Likely price moves at the next scored round if form holds: each asset's
+ * points per $M over the last WINDOW rounds, judged against its price tier.
+ * @param {Array} weekendScores - processRaceWeekend output for scored rounds, in round order
+ * @param {object} [pricing]
+ * @returns {{ drivers: object, constructors: object }}
+ *   { [id]: { pointsPerMillion: number|null, change: number } }, null before any round is scored
+ */
+export function predictPriceChanges(weekendScores, pricing = PRICING) {
+  const recent = weekendScores.slice(-pricing.WINDOW);
+
+  const predict = (scoresKey, prices) => {
+    const predictions = {};
+    for (const [id, price] of Object.entries(prices)) {
+      const points = recent.map(ws => ws[scoresKey]?.[id]?.total || 0);
+      const average = points.length > 0 ? points.reduce((sum, pts) => sum + pts, 0) / points.length : null;
+      predictions[id] = {
+        pointsPerMillion: average === null ? null : Math.round((average / price) * 100) / 100,
+        change: calculatePriceChange(price, points, pricing),
+      };
+    }
+    return predictions;
+  };
+
+  return {
+    drivers: predict('driverScores', current.drivers),
+    constructors: predict('constructorScores', current.constructors),
+  };
+}
@@ -0,0 +1,141 @@
+// Points Projection
+// Expected fantasy points per driver and constructor for the next round, with
+// a confidence band. Built from recent form, the grid once qualifying is in,
+// each driver's DNF rate and past results at the circuit (see PROJECTION in
+// config.js). Pure: callers pass in the data they have.
+
+import { DRIVERS, CONSTRUCTORS, PROJECTION } from '../config.js';
+import {
+  calculateDriverRacePoints, calculateDriverQualifyingPoints, calculateConstructorQualifyingBonus, isRetired,
+} from './engine.js';
+import { getActiveRuleset } from './rulesets.js';
+import { getDriverPrice, getConstructorPrice } from './prices.js';
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * Decay-weighted mean and standard deviation, latest value last.
+ * @returns {{ mean: number, sd: number|null, n: number }} sd is null under two values
+ */
+function weightedStats(values, decay) {
+  if (values.length === 0) return { mean: 0, sd: null, n: 0 };
+  const weights = values.map((_, i) => decay ** (values.length - 1 - i));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const mean = values.reduce((sum, v, i) => sum + v * weights[i], 0) / totalWeight;
+  if (values.length < 2) return { mean, sd: null, n: values.length };
+  const variance = values.reduce((sum, v, i) => sum + weights[i] * (v - mean) ** 2, 0) / totalWeight;
+  return { mean, sd: Math.sqrt(variance), n: values.length };
+}
+
+// Recent form pulled towards a price-based prior while there's little to go on
+function formEstimate(values, price, config) {
+  const recent = values.slice(-config.FORM_WINDOW);
+  const stats = weightedStats(recent, config.FORM_DECAY);
+  const prior = price * config.PRIOR_PPM;
+  const expected = (stats.mean * stats.n + prior * config.PRIOR_ROUNDS) / (stats.n + config.PRIOR_ROUNDS);
+  return { expected, sd: stats.sd ?? config.BAND_DEFAULT };
+}
+
+/**
+ * How many more race-finish points a driver has scored at this circuit in
+ * past seasons than they average this season.
+ */
+function circuitEdge(driverId, circuitHistory, seasonFinishes, rules) {
+  const past = circuitHistory
+    .map(race => (race.results || []).find(r => r.Driver?.driverId === driverId))
+    .filter(Boolean)
+    .map(result => calculateDriverRacePoints(result, 0, false, false, rules).finish);
+  if (past.length === 0 || seasonFinishes.length === 0) return 0;
+  const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+  return average(past) - average(seasonFinishes);
+}
+
+/**
+ * Project the next round.
+ * @param {object} context
+ * @param {Array} context.weekendScores - processRaceWeekend output for scored rounds, in round order
+ * @param {Array} [context.qualifying] - QualifyingResults for the round being projected, if in
+ * @param {Array} [context.circuitHistory] - Past seasons' races at the circuit: [{ season, results }]
+ * @param {object} [context.rules] - Scoring rules (default: active ruleset)
+ * @param {object} [context.config] - PROJECTION-shaped settings
+ * @returns {{ drivers: object, constructors: object }}
+ *   { [id]: { expected, low, high, dnfRate, samples } }; constructors also carry dnfRate
+ *   as the average of their drivers'
+ */
+export function projectRound({
+  weekendScores = [], qualifying = null, circuitHistory = [],
+  rules = getActiveRuleset().rules, config = PROJECTION,
+} = {}) {
+  const grid = {};
+  for (const result of qualifying || []) {
+    const driverId = result.Driver?.driverId;
+    if (driverId) grid[driverId] = result;
+  }
+  const hasGrid = Object.keys(grid).length > 0;
+
+  const drivers = {};
+  for (const driver of DRIVERS) {
+    const rounds = weekendScores.map(ws => ws.driverScores?.[driver.id]).filter(Boolean);
+    // Read from the classified status: the DNF penalty can be 0 under league rules
+    const finished = rounds.filter(s => !isRetired(s.status) || s.status === 'Disqualified');
+    const dnfs = rounds.length - finished.length;
+    const dnfRate = (dnfs + config.DNF_PRIOR * config.DNF_PRIOR_ROUNDS) / (rounds.length + config.DNF_PRIOR_ROUNDS);
+
+    // What the driver scores when they see the flag
+    const form = formEstimate(finished.map(s => s.total), getDriverPrice(driver.id), config);
+    let clean = form.expected;
+    let banked = 0;
+    if (grid[driver.id]) {
+      banked = calculateDriverQualifyingPoints(grid[driver.id], rules).points;
+      const fromGrid = banked + (rules.RACE_FINISH[parseInt(grid[driver.id].position, 10)] || 0);
+      clean = (1 - config.GRID_WEIGHT) * clean + config.GRID_WEIGHT * fromGrid;
+    }
+    clean += config.CIRCUIT_WEIGHT * circuitEdge(driver.id, circuitHistory, rounds.map(s => s.finish), rules);
+
+    // A DNF keeps whatever qualifying already banked
+    const expected = (1 - dnfRate) * clean + dnfRate * (rules.DNF_PENALTY + banked);
+    const { sd } = weightedStats(rounds.slice(-config.FORM_WINDOW).map(s => s.total), config.FORM_DECAY);
+    const band = config.BAND_Z * (sd ?? config.BAND_DEFAULT);
+
+    drivers[driver.id] = {
+      expected: round1(expected),
+      low: round1(expected - band),
+      high: round1(expected + band),
+      dnfRate: Math.round(dnfRate * 100) / 100,
+      samples: rounds.length,
+    };
+  }
+
+  const constructors = {};
+  for (const constructor of CONSTRUCTORS) {
+    const rounds = weekendScores.map(ws => ws.constructorScores?.[constructor.id]).filter(Boolean);
+    const form = formEstimate(rounds.map(c => c.total), getConstructorPrice(constructor.id), config);
+    const dnfRate = constructor.drivers.reduce((sum, id) => sum + (drivers[id]?.dnfRate ?? config.DNF_PRIOR), 0) /
+      constructor.drivers.length;
+
+    let expected = form.expected;
+    if (hasGrid) {
+      const fromGrid = constructor.drivers.reduce((sum, id) => {
+        const finish = grid[id] ? rules.RACE_FINISH[parseInt(grid[id].position, 10)] || 0 : 0;
+        const rate = drivers[id]?.dnfRate ?? config.DNF_PRIOR;
+        return sum + (1 - rate) * finish + rate * rules.DNF_PENALTY;
+      }, 0) + calculateConstructorQualifyingBonus(constructor.id, qualifying, rules).bonus;
+      expected = (1 - config.GRID_WEIGHT) * expected + config.GRID_WEIGHT * fromGrid;
+    }
+    for (const driverId of constructor.drivers) {
+      const finishes = weekendScores.map(ws => ws.driverScores?.[driverId]?.finish).filter(f => f !== undefined);
+      expected += config.CIRCUIT_WEIGHT * circuitEdge(driverId, circuitHistory, finishes, rules);
+    }
+
+    const band = config.BAND_Z * form.sd;
+    constructors[constructor.id] = {
+      expected: round1(expected),
+      low: round1(expected - band),
+      high: round1(expected + band),
+      dnfRate: Math.round(dnfRate * 100) / 100,
+      samples: rounds.length,
+    };
+  }
+
+  return { drivers, constructors };
+}
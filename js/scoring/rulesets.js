@@ -0,0 +1,204 @@
+// Scoring Rulesets
+// Named, versioned sets of scoring rules. The engine takes a ruleset's rules
+// as a parameter and every scoring history entry records the ruleset id it
+// was computed with, so rules can change mid-season without rewriting history.
+
+import { SCORING } from '../config.js';
+import { emit, HookEvents } from '../services/hooks.js';
+
+export const DEFAULT_RULESET_ID = 'official-2026';
+export const LEAGUE_RULESET_PREFIX = 'league-custom-v';
+
+const registry = new Map();
+let activeId = DEFAULT_RULESET_ID;
+
+registry.set(DEFAULT_RULESET_ID, {
+  id: DEFAULT_RULESET_ID,
+  name: 'Official F1 Fantasy 2026',
+  version: 1,
+  rules: SCORING,
+});
+
+/**
+ * Deep-merge rule overrides onto a base ruleset so a custom ruleset only
+ * needs to list what it changes.
+ */
+export function mergeRules(base, overrides = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    const isTable = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isTable && base[key] && typeof base[key] === 'object'
+      ? mergeRules(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Register (or replace) a ruleset.
+ * @param {object} ruleset - { id, name, version, rules, base? }
+ *   rules are merged over the `base` ruleset (default official-2026)
+ * @returns {object} The registered ruleset
+ */
+export function registerRuleset({ id, name, version = 1, rules = {}, base = DEFAULT_RULESET_ID }) {
+  if (!id) throw new Error('Ruleset id is required');
+  const baseRules = getRuleset(base).rules;
+  const ruleset = {
+    id,
+    name: name || id,
+    version,
+    base,
+    rules: mergeRules(baseRules, rules),
+  };
+  registry.set(id, ruleset);
+  return ruleset;
+}
+
+/**
+ * Get a ruleset by id. Unknown or missing ids fall back to the official rules,
+ * which is what every entry scored before rulesets existed was computed with.
+ * @param {string} [id]
+ * @returns {object} { id, name, version, rules }
+ */
+export function getRuleset(id) {
+  return registry.get(id) || registry.get(DEFAULT_RULESET_ID);
+}
+
+/**
+ * @returns {Array} All registered rulesets
+ */
+export function listRulesets() {
+  return [...registry.values()];
+}
+
+/**
+ * The ruleset new rounds are scored with.
+ */
+export function getActiveRuleset() {
+  return getRuleset(activeId);
+}
+
+/**
+ * Switch the ruleset used for rounds scored from now on.
+ * @param {string} id - A registered ruleset id
+ */
+export function setActiveRuleset(id) {
+  if (!registry.has(id)) throw new Error(`Unknown ruleset: ${id}`);
+  if (id === activeId) return;
+  activeId = id;
+  emit(HookEvents.SCORING_RULESET_CHANGED, getActiveRuleset());
+}
+
+// ===== League Rulesets =====
+// The commissioner publishes custom rules as numbered versions
+// (league-custom-v1, -v2, ...). Every version stays registered so entries
+// scored under an older one can still be rescored with it.
+
+/**
+ * Register every published league version and activate the current one.
+ * @param {object|null} settings - { activeId, versions: { [id]: { name, version, overrides } } }
+ */
+export function applyLeagueScoring(settings) {
+  const versions = Object.entries(settings?.versions || {})
+    .sort(([, a], [, b]) => (a.version || 0) - (b.version || 0));
+
+  for (const [id, v] of versions) {
+    registerRuleset({ id, name: v.name, version: v.version, rules: v.overrides || {} });
+  }
+
+  const activeId = settings?.activeId;
+  setActiveRuleset(activeId && registry.has(activeId) ? activeId : DEFAULT_RULESET_ID);
+}
+
+// ===== Validation =====
+
+// Rules that take points away and must not be positive
+const PENALTY_RULES = [
+  'DNF_PENALTY', 'DSQ_PENALTY_DRIVER', 'DSQ_PENALTY_CONSTRUCTOR',
+  'TRANSFER_PENALTY', 'DRIVER_QUALIFYING.NO_TIME',
+];
+
+// Counts that must be whole numbers, with their minimum
+const COUNT_RULES = {
+  'STREAKS.DRIVER_LENGTH': 1,
+  'STREAKS.CONSTRUCTOR_LENGTH': 1,
+  FREE_TRANSFERS: 0,
+  MAX_CARRYOVER: 0,
+};
+
+// Finishing-order tables, where a better position can't score less
+const POSITION_TABLES = ['RACE_FINISH', 'SPRINT', 'DRIVER_QUALIFYING.POSITION'];
+
+function ruleAt(rules, path) {
+  return path.split('.').reduce((node, key) => node?.[key], rules);
+}
+
+/**
+ * Check a set of rule overrides against the official rules' shape.
+ * @param {object} overrides - Partial rules, as stored for a league version
+ * @returns {{ valid: boolean, errors: string[], rules: object }} rules is the merged result
+ */
+export function validateRules(overrides) {
+  const errors = [];
+  const base = getRuleset(DEFAULT_RULESET_ID).rules;
+
+  const checkShape = (node, shape, path) => {
+    for (const [key, value] of Object.entries(node)) {
+      const name = path ? `${path}.${key}` : key;
+      const expected = shape?.[key];
+      if (expected === undefined) {
+        errors.push(`Unknown rule ${name}`);
+      } else if (typeof expected === 'object') {
+        if (value && typeof value === 'object') checkShape(value, expected, name);
+        else errors.push(`${name} must be a table of values`);
+      } else if (typeof expected === 'boolean') {
+        if (typeof value !== 'boolean') errors.push(`${name} must be on or off`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${name} must be a number`);
+      }
+    }
+  };
+  checkShape(overrides || {}, base, '');
+  if (errors.length > 0) return { valid: false, errors, rules: base };
+
+  const rules = mergeRules(base, overrides);
+
+  for (const path of PENALTY_RULES) {
+    if (ruleAt(rules, path) > 0) errors.push(`${path} is a penalty and can't be positive`);
+  }
+  for (const [path, min] of Object.entries(COUNT_RULES)) {
+    const value = ruleAt(rules, path);
+    if (!Number.isInteger(value) || value < min) errors.push(`${path} must be a whole number of at least ${min}`);
+  }
+  for (const path of POSITION_TABLES) {
+    const table = ruleAt(rules, path);
+    const positions = Object.keys(table).map(Number).sort((a, b) => a - b);
+    for (let i = 1; i < positions.length; i++) {
+      if (table[positions[i]] > table[positions[i - 1]]) {
+        errors.push(`${path}: P${positions[i]} can't score more than P${positions[i - 1]}`);
+      }
+    }
+  }
+  if (!(rules.PIT_STOP.RECORD_TIME > 0)) errors.push('PIT_STOP.RECORD_TIME must be above zero');
+
+  return { valid: errors.length === 0, errors, rules };
+}
+
+/**
+ * The overrides that turn the official rules into `rules`.
+ * @param {object} rules - A full set of rules
+ * @param {object} [base] - Rules to compare against (default: official)
+ * @returns {object} Only the values that differ
+ */
+export function diffRules(rules, base = getRuleset(DEFAULT_RULESET_ID).rules) {
+  const diff = {};
+  for (const [key, value] of Object.entries(rules)) {
+    if (value && typeof value === 'object' && base[key] && typeof base[key] === 'object') {
+      const nested = diffRules(value, base[key]);
+      if (Object.keys(nested).length > 0) diff[key] = nested;
+    } else if (value !== base[key]) {
+      diff[key] = value;
+    }
+  }
+  return diff;
+}
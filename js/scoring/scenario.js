@@ -0,0 +1,67 @@
+// What-If Scenarios
+// Turns a hypothetical race (a finishing order plus DNFs, fastest lap and
+// Driver of the Day) into engine input and scores teams against it. The
+// weekend is processed silently and nothing is stored, so a scenario never
+// touches scoring history or re-renders the app.
+
+import { DRIVERS } from '../config.js';
+import { processRaceWeekend, calculateTeamScore } from './engine.js';
+
+/**
+ * @typedef {object} Scenario
+ * @property {string[]} order - Every driver, in the order they cross the line
+ * @property {string[]} [dnfs] - Drivers who retire; classified behind the finishers in `order` order
+ * @property {string|null} [fastestLap]
+ * @property {string|null} [driverOfTheDay]
+ * @property {object} [grid] - { [driverId]: starting position }; defaults to the qualifying order,
+ *   then to `order` (no positions gained or lost)
+ */
+
+/**
+ * Race results in Jolpica format for a scenario.
+ * @param {Scenario} scenario
+ * @param {Array} [qualifying] - QualifyingResults, for the grid
+ * @returns {Array} Results
+ */
+export function buildScenarioResults(scenario, qualifying = []) {
+  const { order = [], dnfs = [], fastestLap = null } = scenario;
+  const qualiGrid = Object.fromEntries(qualifying.map(q => [q.Driver?.driverId, parseInt(q.position, 10)]));
+  const classified = [...order.filter(id => !dnfs.includes(id)), ...order.filter(id => dnfs.includes(id))];
+
+  return classified.map((driverId, i) => {
+    const driver = DRIVERS.find(d => d.id === driverId);
+    const grid = scenario.grid?.[driverId] ?? qualiGrid[driverId] ?? order.indexOf(driverId) + 1;
+    return {
+      position: String(i + 1),
+      grid: String(grid),
+      status: dnfs.includes(driverId) ? 'Retired' : 'Finished',
+      Driver: { driverId, givenName: driver?.firstName || driverId, familyName: driver?.lastName || '' },
+      Constructor: { constructorId: driver?.team },
+      ...(driverId === fastestLap ? { FastestLap: { rank: '1' } } : {}),
+    };
+  });
+}
+
+/**
+ * Score a scenario for one or more teams.
+ * @param {Scenario} scenario
+ * @param {Array<{ team: object, boosts?: object }>} entries - Teams to score, with their played boosts
+ * @param {object} [context] - { round, raceName, qualifying, previousRounds, ruleset }
+ *   passed through to processRaceWeekend
+ * @returns {{ weekend: object, scores: Array }} The processRaceWeekend output and a
+ *   calculateTeamScore result per entry
+ */
+export function simulateScenario(scenario, entries, context = {}) {
+  const { qualifying = [], ...rest } = context;
+  const weekend = processRaceWeekend({
+    ...rest,
+    results: buildScenarioResults(scenario, qualifying),
+    qualifying,
+    driverOfTheDay: scenario.driverOfTheDay || null,
+    silent: true,
+  });
+  return {
+    weekend,
+    scores: entries.map(({ team, boosts = {} }) => calculateTeamScore(team, weekend, boosts)),
+  };
+}
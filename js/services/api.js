@@ -107,6 +107,81 @@ export async function fetchSprintResults(round) {
   return races;
 }
 
+/**
+ * Fetch a past season's race results at a circuit.
+ * Returns the Results array, or [] if the circuit wasn't raced that season.
+ */
+export async function fetchCircuitResults(circuitId, season) {
+  const data = await apiFetch(`${season}/circuits/${circuitId}/results.json`);
+  return data?.RaceTable?.Races?.[0]?.Results || [];
+}
+
+/**
+ * Fetch every pit stop for a race round.
+ * Jolpica caps pages at 100 rows, so long races are fetched in pages.
+ * Each stop: { driverId, lap, stop, time, duration } (duration is pit-lane time).
+ */
+export async function fetchPitStops(round) {
+  const limit = 100;
+  const stops = [];
+  let offset = 0;
+  let total = 0;
+
+  do {
+    const data = await apiFetch(`${API.SEASON}/${round}/pitstops.json?limit=${limit}&offset=${offset}`);
+    const race = data?.RaceTable?.Races?.[0];
+    stops.push(...(race?.PitStops || []));
+    total = parseInt(data?.total, 10) || 0;
+    offset += limit;
+  } while (offset < total);
+
+  if (stops.length > 0) {
+    emit(HookEvents.RACE_PIT_STOPS_RECEIVED, { round, pitStops: stops });
+  }
+  return stops;
+}
+
+/**
+ * Fetch lap-by-lap positions for a race round.
+ * Jolpica pages by timing row, so a lap can be split across pages; the
+ * pieces are merged back together by lap number.
+ * Returns [{ number, Timings: [{ driverId, position, time }] }] in lap order.
+ */
+export async function fetchLaps(round) {
+  const limit = 100;
+  const lapsByNumber = new Map();
+  let offset = 0;
+  let total = 0;
+
+  do {
+    const data = await apiFetch(`${API.SEASON}/${round}/laps.json?limit=${limit}&offset=${offset}`);
+    const race = data?.RaceTable?.Races?.[0];
+    for (const lap of race?.Laps || []) {
+      const number = parseInt(lap.number, 10);
+      if (!lapsByNumber.has(number)) lapsByNumber.set(number, { number, Timings: [] });
+      lapsByNumber.get(number).Timings.push(...(lap.Timings || []));
+    }
+    total = parseInt(data?.total, 10) || 0;
+    offset += limit;
+  } while (offset < total);
+
+  return [...lapsByNumber.values()].sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Fetch the manual stationary-time overrides shipped with the app.
+ * Jolpica only reports pit-lane duration, so real stationary times are
+ * entered by hand. Shape: { [round]: { [constructorId]: seconds } }
+ * A missing file means no overrides; a failed request or malformed file
+ * throws, so callers can keep the last overrides they had.
+ */
+export async function fetchPitStopOverrides() {
+  const response = await fetch(API.PIT_STOP_OVERRIDES_URL, { cache: 'no-cache' });
+  if (response.status === 404) return {};
+  if (!response.ok) throw new Error(`Pit stop overrides: HTTP ${response.status}`);
+  return response.json();
+}
+
 /**
  * Fetch current driver standings.
  */
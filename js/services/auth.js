@@ -93,6 +93,7 @@ export async function register(email, password, displayName) {
     scoringHistory: {},
     boosts: {},
     transfers: [],
+    snapshots: {},
     createdAt: serverTimestamp(),
     lastActive: serverTimestamp(),
   });
@@ -141,6 +142,7 @@ export async function loginWithGoogle() {
       scoringHistory: {},
       boosts: {},
       transfers: [],
+      snapshots: {},
       createdAt: serverTimestamp(),
       lastActive: serverTimestamp(),
     });
@@ -199,6 +201,7 @@ export async function saveTeamToCloud(data) {
   if (data.scoringHistory !== undefined) update.scoringHistory = data.scoringHistory;
   if (data.boosts !== undefined) update.boosts = data.boosts;
   if (data.transfers !== undefined) update.transfers = data.transfers;
+  if (data.snapshots !== undefined) update.snapshots = data.snapshots;
 
   await updateDoc(doc(db, 'users', user.uid), update);
 }
@@ -216,6 +219,7 @@ export async function loadTeamFromCloud() {
     scoringHistory: d.scoringHistory || {},
     boosts: d.boosts || {},
     transfers: d.transfers || [],
+    snapshots: d.snapshots || {},
   };
 }
 
@@ -229,6 +233,14 @@ export async function getAllUsers() {
 
 // ===== Admin Functions =====
 
+/**
+ * Overwrite one round of a member's scoring history (used for league-wide rescoring).
+ */
+export async function saveUserRoundEntry(uid, round, entry) {
+  if (!db) return;
+  await updateDoc(doc(db, 'users', uid), { [`scoringHistory.${round}`]: entry });
+}
+
 export async function updateUserRole(uid, role) {
   if (!db) return;
   await updateDoc(doc(db, 'users', uid), { role });
@@ -314,3 +326,77 @@ export async function loadH2HSchedule() {
   if (!snap.exists()) return null;
   return snap.data();
 }
+
+// ===== Round Settings =====
+// Commissioner-set data per round that the API doesn't provide (e.g. Driver of the Day).
+// Stored at rounds/{round}.
+
+export async function saveDriverOfTheDay(round, driverId) {
+  if (!db) throw new Error('Firestore not initialized');
+  await setDoc(doc(db, 'rounds', String(round)), {
+    round: Number(round),
+    driverOfTheDay: driverId || null,
+    updatedAt: serverTimestamp(),
+    updatedBy: getCurrentUser()?.uid || 'unknown',
+  }, { merge: true });
+}
+
+/**
+ * Load settings for every round.
+ * @returns {Promise<object>} { [round]: { driverOfTheDay, ... } }
+ */
+export async function loadRoundSettings() {
+  if (!db) return {};
+  const snap = await getDocs(collection(db, 'rounds'));
+  const settings = {};
+  snap.docs.forEach(d => { settings[d.id] = d.data(); });
+  return settings;
+}
+
+// ===== League Scoring =====
+// The commissioner's custom scoring rules, stored at league/scoring as
+// { activeId, versions: { [id]: { name, version, overrides, publishedAt, publishedBy } } }.
+// Published versions are never edited, only superseded.
+
+export async function loadLeagueScoring() {
+  if (!db) return null;
+  const snap = await getDoc(doc(db, 'league', 'scoring'));
+  return snap.exists() ? snap.data() : null;
+}
+
+/**
+ * Publish a new league ruleset version and make it the active one.
+ * @param {string} name - Display name for the ruleset
+ * @param {object} overrides - Rules that differ from the official ones
+ * @returns {Promise<string>} The new ruleset id (league-custom-vN)
+ */
+export async function publishLeagueRuleset(name, overrides) {
+  if (!db) throw new Error('Firestore not initialized');
+  const current = await loadLeagueScoring();
+  const version = Object.values(current?.versions || {})
+    .reduce((max, v) => Math.max(max, v.version || 0), 0) + 1;
+  const id = `league-custom-v${version}`;
+
+  await setDoc(doc(db, 'league', 'scoring'), {
+    activeId: id,
+    versions: {
+      [id]: {
+        name,
+        version,
+        overrides,
+        publishedAt: new Date().toISOString(),
+        publishedBy: getCurrentUser()?.uid || 'unknown',
+      },
+    },
+  }, { merge: true });
+  return id;
+}
+
+/**
+ * Switch the league to an already-published ruleset (or back to the official rules).
+ * @param {string} id - Ruleset id
+ */
+export async function setLeagueActiveRuleset(id) {
+  if (!db) throw new Error('Firestore not initialized');
+  await setDoc(doc(db, 'league', 'scoring'), { activeId: id }, { merge: true });
+}
@@ -17,6 +17,7 @@ export const HookEvents = {
   RACE_RESULTS_RECEIVED: 'race:results:received',
   RACE_QUALIFYING_RECEIVED: 'race:qualifying:received',
   SPRINT_RESULTS_RECEIVED: 'race:sprint:received',
+  RACE_PIT_STOPS_RECEIVED: 'race:pitstops:received',
 
   // Standings
   STANDINGS_UPDATED: 'standings:updated',
@@ -26,6 +27,7 @@ export const HookEvents = {
   // Fantasy scoring
   FANTASY_SCORES_CALCULATED: 'fantasy:scores:calculated',
   FANTASY_SCORES_UPDATED: 'fantasy:scores:updated',
+  SCORING_RULESET_CHANGED: 'fantasy:ruleset:changed',
 
   // Team management
   TEAM_DRIVER_ADDED: 'team:driver:added',
@@ -36,6 +38,7 @@ export const HookEvents = {
   TEAM_BOOST_ACTIVATED: 'team:boost:activated',
   TEAM_TRANSFER_MADE: 'team:transfer:made',
   TEAM_NAME_CHANGED: 'team:name:changed',
+  TEAM_LOCK_CHANGED: 'team:lock:changed',
 
   // H2H season
   H2H_SCHEDULE_UPDATED: 'h2h:schedule:updated',
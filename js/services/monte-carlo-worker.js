@@ -0,0 +1,13 @@
+// Monte Carlo Worker
+// Runs simulateOutcomes() off the main thread. Receives its options as the
+// message and posts back { result } or { error }.
+
+import { simulateOutcomes } from './monte-carlo.js';
+
+self.onmessage = (e) => {
+  try {
+    self.postMessage({ result: simulateOutcomes(e.data) });
+  } catch (err) {
+    self.postMessage({ error: err.message });
+  }
+};
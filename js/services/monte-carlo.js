@@ -0,0 +1,114 @@
+// Monte Carlo Weekend Simulation
+// Runs thousands of random race weekends (see race-generator.js) against a
+// set of teams and reports each team's expected points, percentile range and
+// chance of beating an opponent. Runs are seeded, so the same inputs and seed
+// always give the same answer. runMonteCarlo() does the work in a Web Worker
+// to keep the page responsive; simulateOutcomes() is the same work inline.
+
+import { processRaceWeekend, calculateTeamScore } from '../scoring/engine.js';
+import { generateRaceResults } from './race-generator.js';
+import { createRng, randomSeed } from './prng.js';
+
+export const DEFAULT_ITERATIONS = 2000;
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[index];
+}
+
+function summarize(totals, opponentTotals) {
+  const sorted = [...totals].sort((a, b) => a - b);
+  const mean = totals.reduce((sum, t) => sum + t, 0) / (totals.length || 1);
+  const summary = {
+    mean: Math.round(mean * 10) / 10,
+    min: sorted[0] ?? 0,
+    max: sorted[sorted.length - 1] ?? 0,
+    percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sorted, p)])),
+    winProbability: null,
+    drawProbability: null,
+  };
+  if (opponentTotals) {
+    const wins = totals.filter((t, i) => t > opponentTotals[i]).length;
+    const draws = totals.filter((t, i) => t === opponentTotals[i]).length;
+    summary.winProbability = Math.round((wins / totals.length) * 1000) / 1000;
+    summary.drawProbability = Math.round((draws / totals.length) * 1000) / 1000;
+  }
+  return summary;
+}
+
+/**
+ * Simulate a round many times for several teams.
+ * Every team is scored against the same weekends, so their results compare directly.
+ * @param {object} options
+ * @param {Array<{ team: object, boosts?: object, adjustment?: number }>} options.entries - Teams to
+ *   score; adjustment is added to every total (e.g. a transfer penalty as a negative number)
+ * @param {number} options.round - Calendar round (sets sprint weekends)
+ * @param {number} [options.iterations]
+ * @param {number|string} [options.seed] - Default: a fresh random seed
+ * @param {object} [options.ruleset] - { id, rules } to score with (default: active ruleset)
+ * @param {number} [options.opponentIndex] - Entry the others' win probability is measured against
+ * @returns {{ seed, iterations, round, entries: Array }} A summary per entry:
+ *   { mean, min, max, percentiles: { p10, p25, p50, p75, p90 }, winProbability, drawProbability }
+ */
+export function simulateOutcomes({
+  entries, round, iterations = DEFAULT_ITERATIONS, seed = randomSeed(), ruleset, opponentIndex = null,
+}) {
+  const rng = createRng(seed);
+  const totals = entries.map(() => []);
+
+  for (let i = 0; i < iterations; i++) {
+    const weekend = generateRaceResults(round, rng);
+    if (!weekend) break;
+    const scores = processRaceWeekend({
+      ...weekend,
+      ...(ruleset ? { ruleset } : {}),
+      silent: true,
+    });
+    entries.forEach(({ team, boosts = {}, adjustment = 0 }, e) => {
+      totals[e].push(calculateTeamScore(team, scores, boosts).teamTotal + adjustment);
+    });
+  }
+
+  const opponentTotals = opponentIndex != null ? totals[opponentIndex] : null;
+  return {
+    seed,
+    iterations: totals[0]?.length || 0,
+    round,
+    entries: totals.map((t, e) => summarize(t, e === opponentIndex ? null : opponentTotals)),
+  };
+}
+
+/**
+ * simulateOutcomes() in a Web Worker. Falls back to running inline where
+ * module workers aren't available.
+ * @param {object} options - See simulateOutcomes
+ * @returns {Promise<object>} See simulateOutcomes
+ */
+export function runMonteCarlo(options) {
+  const withSeed = { seed: randomSeed(), ...options };
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve(simulateOutcomes(withSeed));
+  }
+
+  return new Promise((resolve, reject) => {
+    let worker;
+    try {
+      worker = new Worker(new URL('./monte-carlo-worker.js', import.meta.url), { type: 'module' });
+    } catch {
+      resolve(simulateOutcomes(withSeed));
+      return;
+    }
+    worker.onmessage = (e) => {
+      worker.terminate();
+      if (e.data.error) reject(new Error(e.data.error));
+      else resolve(e.data.result);
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'Simulation failed'));
+    };
+    worker.postMessage(withSeed);
+  });
+}
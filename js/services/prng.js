@@ -0,0 +1,46 @@
+// Seeded Random Numbers
+// A small deterministic generator (mulberry32) so simulations can be replayed
+// from a seed. A generator is a function returning floats in [0, 1), the same
+// contract as Math.random, so either can be passed wherever randomness is used.
+
+/**
+ * Turn a seed into an unsigned 32-bit integer. Numbers (or numeric strings)
+ * are used as-is; any other string is hashed (FNV-1a).
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function normalizeSeed(seed) {
+  const text = String(seed ?? '').trim();
+  if (/^\d+$/.test(text)) return Number(BigInt(text) % 4294967296n);
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A fresh random seed.
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Create a seeded generator.
+ * @param {number|string} seed
+ * @returns {() => number} Floats in [0, 1)
+ */
+export function createRng(seed) {
+  let state = normalizeSeed(seed);
+  return function rng() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,173 @@
+// Race Generator
+// Plausible random race weekends in Ergast/Jolpica format: qualifying, race
+// and sprint, with expensive drivers tending to finish higher. Pure, so the
+// Monte Carlo worker can run it off the main thread; pass a seeded generator
+// from prng.js to make a weekend reproducible.
+
+import { DRIVERS, RACE_CALENDAR } from '../config.js';
+
+const DNF_STATUSES = ['Retired', 'Collision', 'Engine', 'Gearbox', 'Hydraulics'];
+
+// ===== Helpers =====
+
+export function pickRandom(arr, rng = Math.random) {
+  return arr[Math.floor(rng() * arr.length)];
+}
+
+function generateLapTime(baseSeconds, variance, rng) {
+  const time = baseSeconds + rng() * variance;
+  const mins = Math.floor(time / 60);
+  const secs = (time % 60).toFixed(3);
+  return `${mins}:${secs.padStart(6, '0')}`;
+}
+
+// ===== Race Result Generation =====
+
+/**
+ * Compute a base "strength" for a driver (lower = faster).
+ * Weighted by price so expensive drivers tend to finish higher.
+ */
+function driverStrength(driver, variance = 10, rng = Math.random) {
+  const maxPrice = 30;
+  const base = 1 + (maxPrice - driver.price) * (21 / 25);
+  return base + (rng() - 0.5) * variance;
+}
+
+/**
+ * Generate a full set of race results for a round in Ergast/Jolpica API format.
+ * Includes race results, qualifying, and sprint (if applicable).
+ * @param {number} round
+ * @param {() => number} [rng] - Random source (see prng.js); defaults to Math.random
+ */
+export function generateRaceResults(round, rng = Math.random) {
+  const raceInfo = RACE_CALENDAR.find(r => r.round === round);
+  if (!raceInfo) return null;
+
+  // --- Qualifying ---
+  const qualiOrder = DRIVERS.map(d => ({ driver: d, strength: driverStrength(d, 8, rng) }))
+    .sort((a, b) => a.strength - b.strength);
+
+  const qualifying = qualiOrder.map((entry, i) => {
+    const pos = i + 1;
+    const result = {
+      Driver: { driverId: entry.driver.id },
+      position: String(pos),
+      Q1: generateLapTime(90, 2, rng),
+    };
+    if (pos <= 15) result.Q2 = generateLapTime(89, 1.5, rng);
+    if (pos <= 10) result.Q3 = generateLapTime(88, 1.0, rng);
+    return result;
+  });
+
+  // Grid map from qualifying
+  const gridMap = {};
+  qualiOrder.forEach((entry, i) => { gridMap[entry.driver.id] = i + 1; });
+
+  // --- Race ---
+  const raceOrder = DRIVERS.map(d => ({ driver: d, strength: driverStrength(d, 10, rng) }))
+    .sort((a, b) => a.strength - b.strength);
+
+  // Pick a fastest-lap driver from the top 10 finishers (non-DNF)
+  const fastestLapIndex = Math.floor(rng() * Math.min(10, raceOrder.length));
+
+  let positionCounter = 1;
+  const results = [];
+
+  for (let i = 0; i < raceOrder.length; i++) {
+    const d = raceOrder[i].driver;
+    const gridPos = gridMap[d.id] || (i + 1);
+
+    // DNF chance: higher for cheaper drivers
+    const dnfChance = d.price < 8 ? 0.10 : 0.05;
+    const isDNF = rng() < dnfChance;
+
+    let status;
+    let position;
+
+    if (isDNF) {
+      status = pickRandom(DNF_STATUSES, rng);
+      position = String(20 + Math.floor(rng() * 3)); // DNF positions at the back
+    } else {
+      status = positionCounter <= 20 ? 'Finished' : '+1 Lap';
+      position = String(positionCounter);
+      positionCounter++;
+    }
+
+    const result = {
+      Driver: {
+        driverId: d.id,
+        givenName: d.firstName,
+        familyName: d.lastName,
+      },
+      Constructor: {
+        constructorId: d.team,
+      },
+      position,
+      grid: String(gridPos),
+      status,
+    };
+
+    // Assign fastest lap to one non-DNF top-10 finisher
+    if (i === fastestLapIndex && !isDNF) {
+      result.FastestLap = { rank: '1' };
+    }
+
+    results.push(result);
+  }
+
+  // Ensure exactly one fastest lap exists (if the chosen driver DNF'd, pick another)
+  const hasFastestLap = results.some(r => r.FastestLap?.rank === '1');
+  if (!hasFastestLap) {
+    const eligible = results.filter(r => !DNF_STATUSES.includes(r.status));
+    if (eligible.length > 0) {
+      eligible[0].FastestLap = { rank: '1' };
+    }
+  }
+
+  // --- Sprint (only for sprint weekends) ---
+  let sprint = [];
+  if (raceInfo.sprint) {
+    // Sprint grid comes from its own shootout
+    const sprintGrid = {};
+    DRIVERS.map(d => ({ driver: d, strength: driverStrength(d, 8, rng) }))
+      .sort((a, b) => a.strength - b.strength)
+      .forEach((entry, i) => { sprintGrid[entry.driver.id] = i + 1; });
+
+    const sprintOrder = DRIVERS.map(d => ({ driver: d, strength: driverStrength(d, 8, rng) }))
+      .sort((a, b) => a.strength - b.strength);
+
+    const sprintFLIndex = Math.floor(rng() * Math.min(8, sprintOrder.length));
+    let sprintPos = 1;
+
+    sprint = sprintOrder.map((entry, i) => {
+      const d = entry.driver;
+      const isDNF = rng() < 0.03;
+      const result = {
+        Driver: { driverId: d.id, givenName: d.firstName, familyName: d.lastName },
+        Constructor: { constructorId: d.team },
+        grid: String(sprintGrid[d.id]),
+        position: isDNF ? String(20 + Math.floor(rng() * 3)) : String(sprintPos),
+        status: isDNF ? 'Retired' : 'Finished',
+      };
+      if (!isDNF) sprintPos++;
+      if (i === sprintFLIndex && !isDNF) {
+        result.FastestLap = { rank: '1' };
+      }
+      return result;
+    });
+
+    // Ensure sprint has a fastest lap
+    if (!sprint.some(r => r.FastestLap?.rank === '1')) {
+      const eligible = sprint.filter(r => r.status === 'Finished');
+      if (eligible.length > 0) eligible[0].FastestLap = { rank: '1' };
+    }
+  }
+
+  return {
+    round,
+    raceName: raceInfo.name,
+    results,
+    qualifying,
+    sprint,
+  };
+}
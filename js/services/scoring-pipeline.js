@@ -0,0 +1,391 @@
+// Scoring Pipeline
+// Turns synced race results into fantasy points for the signed-in user.
+// Every round is run through the scoring engine and cached; the lineup the
+// user locked in for each round is then scored and written to history.
+// Each round's inputs are fingerprinted so later result revisions (stewards'
+// penalties, DOTD changes) trigger a rescore with the delta recorded.
+// Entries record the ruleset they were scored with and are always rescored
+// under that same ruleset, so switching rules never changes past rounds.
+// Driver and constructor prices are replayed from the same weekend scores.
+
+import { DRIVERS } from '../config.js';
+import { processRaceWeekend, calculateTeamScore } from '../scoring/engine.js';
+import { getRuleset, DEFAULT_RULESET_ID } from '../scoring/rulesets.js';
+import { buildPriceHistory, applyPriceHistory } from '../scoring/prices.js';
+import { refreshLockState, getTeamSnapshot, consumeBoosts } from '../models/team.js';
+import {
+  loadScoringHistory, appendRaceScore, loadWeekendScores, saveWeekendScores,
+  savePriceHistory,
+} from './storage.js';
+import { getAllUsers, getCurrentUser, isAdmin, saveUserRoundEntry } from './auth.js';
+import { emit, HookEvents } from './hooks.js';
+
+/**
+ * Build processRaceWeekend() inputs for every round that has race results.
+ * @param {object} data - { raceResults, qualifying, sprintResults } in Jolpica format,
+ *   plus pitStops ({ [round]: PitStops }), pitStopOverrides ({ [round]: { [constructorId]: seconds } })
+ *   driverOfTheDay ({ [round]: driverId }) and overtakes ({ [round]: countOvertakes() output })
+ * @returns {Array} Race weekends ordered by round
+ */
+export function buildRaceWeekends(data) {
+  const weekends = [];
+  for (const race of data.raceResults || []) {
+    const round = race.round;
+    const qualifying = (data.qualifying || []).find(q => q.round === round);
+    const sprint = (data.sprintResults || []).find(s => s.round === round);
+
+    weekends.push({
+      round,
+      raceName: race.raceName,
+      results: race.Results || [],
+      qualifying: qualifying?.QualifyingResults || [],
+      sprint: sprint?.SprintResults || [],
+      pitStops: data.pitStops?.[round] || [],
+      pitStopOverrides: data.pitStopOverrides?.[round] || {},
+      driverOfTheDay: data.driverOfTheDay?.[round] || null,
+      overtakes: data.overtakes?.[round] || {},
+    });
+  }
+  return weekends.sort((a, b) => Number(a.round) - Number(b.round));
+}
+
+/**
+ * Build a scoring history entry for one team in one round.
+ * @param {object} team - { drivers: [id,...], constructors: [id, id], transfers? } (usually a snapshot)
+ * @param {object} weekendScores - Output of processRaceWeekend
+ * @param {object} boosts - Boost state for the round
+ * @returns {object} Scoring history entry
+ */
+export function buildRoundEntry(team, weekendScores, boosts = {}) {
+  const teamScore = calculateTeamScore(team, weekendScores, boosts);
+  const transferPenalty = team.transfers?.penalty || 0;
+
+  // Keep only the boosts that were actually played this round
+  const played = {};
+  for (const [key, boost] of Object.entries(boosts)) {
+    if (boost?.active) played[key] = { active: true, target: boost.target || null };
+  }
+
+  return {
+    driverScores: teamScore.driverBreakdown,
+    constructorScores: teamScore.constructorBreakdown,
+    constructorScore: teamScore.constructorTotal,
+    transferPenalty,
+    total: teamScore.teamTotal + transferPenalty,
+    raceName: weekendScores.raceName,
+    driverOfTheDay: weekendScores.driverOfTheDay || null,
+    rulesetId: weekendScores.rulesetId || DEFAULT_RULESET_ID,
+    fingerprint: weekendScores.fingerprint || null,
+    team: {
+      drivers: [...team.drivers],
+      constructors: [...(team.constructors || [])],
+    },
+    boosts: played,
+    boostLedger: teamScore.boostLedger,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Rescore an existing entry against revised weekend scores.
+ * Uses the lineup and boosts the entry recorded, so it works for any member.
+ * @param {object} existing - Scoring history entry
+ * @param {object} weekendScores - Revised weekend scores (with fingerprint), computed
+ *   under the entry's ruleset (see entryRulesetId)
+ * @returns {object} New entry with the revision appended
+ */
+export function rescoreEntry(existing, weekendScores) {
+  const lineup = {
+    ...existing.team,
+    transfers: { penalty: existing.transferPenalty || 0 },
+  };
+  const entry = buildRoundEntry(lineup, weekendScores, existing.boosts || {});
+  const before = existing.total || 0;
+  const latest = weekendScores.revisions?.[weekendScores.revisions.length - 1];
+
+  // A rescore that lands on the same total isn't a revision worth recording
+  const revisions = [...(existing.revisions || [])];
+  if (entry.total !== before) {
+    revisions.push({
+      at: entry.timestamp,
+      before,
+      after: entry.total,
+      delta: entry.total - before,
+      reason: latest?.reason || 'results update',
+    });
+  }
+
+  return {
+    ...entry,
+    timestamp: existing.timestamp,
+    rescoredAt: entry.timestamp,
+    revisions,
+  };
+}
+
+/**
+ * Score every synced race weekend and record the user's points.
+ * Safe to call on every poll: weekend scores are recomputed, new rounds are
+ * scored once, and scored rounds are only rewritten when their fingerprint changes.
+ *
+ * @param {Array} weekends - Output of buildRaceWeekends
+ * @returns {Array} Round numbers written to scoring history
+ */
+export function runScoringPipeline(weekends) {
+  if (weekends.length === 0) return [];
+
+  const previous = loadWeekendScores();
+  const weekendScores = { ...previous };
+  const revised = [];
+  let streakChain = '';
+
+  weekends.forEach((weekend, i) => {
+    const scores = processRaceWeekend({ ...weekend, previousRounds: weekends.slice(0, i) });
+
+    // Streaks depend on earlier rounds, so each fingerprint folds in the
+    // finishing data of every round before it (and nothing else of theirs)
+    const inputHash = hashInputs(weekend);
+    const fingerprint = hashString(streakChain + inputHash);
+    streakChain = hashString(streakChain + hashStreakInputs(weekend));
+
+    const prev = previous[weekend.round];
+    let revisions = prev?.revisions || [];
+    if (prev?.fingerprint && prev.fingerprint !== fingerprint && scoresChanged(prev, scores)) {
+      const reason = prev.inputHash === inputHash
+        ? 'an earlier round\'s results update'
+        : describeRevision(prev, scores);
+      revisions = [...revisions, { at: new Date().toISOString(), reason }];
+      revised.push(Number(weekend.round));
+    }
+
+    weekendScores[weekend.round] = { ...scores, inputHash, fingerprint, revisions };
+  });
+  saveWeekendScores(weekendScores);
+
+  const scoresFor = createRulesetScorer(weekends, weekendScores);
+
+  // Prices move on official-rules points, whatever ruleset the league uses
+  const priceHistory = buildPriceHistory(weekends.map(w => scoresFor(w.round, DEFAULT_RULESET_ID)));
+  savePriceHistory(priceHistory);
+  applyPriceHistory(priceHistory);
+
+  // Make sure every deadline that has passed has its lineup frozen
+  refreshLockState();
+
+  const scored = [];
+  for (const weekend of weekends) {
+    if (scoreUserRound(weekend.round, weekendScores[weekend.round], scoresFor)) {
+      scored.push(Number(weekend.round));
+    }
+  }
+
+  // The commissioner's client also rescores members who haven't been online
+  if (revised.length > 0 && isAdmin()) {
+    rescoreLeagueRounds(revised, weekendScores, scoresFor).catch(err => {
+      console.warn('[Scoring] League rescore failed:', err.message);
+    });
+  }
+
+  if (scored.length > 0) {
+    emit(HookEvents.FANTASY_SCORES_UPDATED, { rounds: scored });
+  }
+  return scored;
+}
+
+/**
+ * The ruleset an entry was scored with. Entries from before rulesets
+ * existed were scored with the official rules.
+ * @param {object} entry - Scoring history entry
+ * @returns {string}
+ */
+export function entryRulesetId(entry) {
+  return entry?.rulesetId || DEFAULT_RULESET_ID;
+}
+
+/**
+ * Returns (round, rulesetId) => weekend scores under that ruleset.
+ * The active ruleset's scores are already computed; others are processed on
+ * demand (once per round) and carry the active scores' fingerprint and revisions.
+ * Returns null for a ruleset that isn't registered yet (league settings still
+ * loading), so callers keep the stored entry rather than fall back to other rules.
+ */
+function createRulesetScorer(weekends, weekendScores) {
+  const cache = {};
+
+  return (round, rulesetId) => {
+    const current = weekendScores[round];
+    if (current.rulesetId === rulesetId) return current;
+
+    const ruleset = getRuleset(rulesetId);
+    if (ruleset.id !== rulesetId) return null;
+
+    const key = `${rulesetId}:${round}`;
+    if (!cache[key]) {
+      // Jolpica rounds are strings; callers may pass numbers
+      const i = weekends.findIndex(w => Number(w.round) === Number(round));
+      const scores = processRaceWeekend({
+        ...weekends[i],
+        previousRounds: weekends.slice(0, i),
+        ruleset,
+      });
+      const { inputHash, fingerprint, revisions } = current;
+      cache[key] = { ...scores, inputHash, fingerprint, revisions };
+    }
+    return cache[key];
+  };
+}
+
+/**
+ * Write the user's entry for a round if it is new or its results were revised.
+ * Rounds without a locked snapshot are skipped: the user had no team then.
+ * Entries left behind by test-mode simulation are replaced by real results.
+ * @returns {boolean} Whether the round's entry was written
+ */
+function scoreUserRound(round, weekendScores, scoresFor) {
+  const existing = loadScoringHistory()[round];
+  if (existing && !existing.simulated) {
+    if (existing.fingerprint === weekendScores.fingerprint) return false;
+
+    // Entries from before fingerprinting are adopted as-is rather than rescored
+    if (!existing.fingerprint) {
+      appendRaceScore(round, {
+        ...existing,
+        rulesetId: entryRulesetId(existing),
+        fingerprint: weekendScores.fingerprint,
+      });
+      return false;
+    }
+
+    // Keep the stored points until the entry's ruleset has loaded
+    const scores = scoresFor(round, entryRulesetId(existing));
+    if (!scores) return false;
+
+    const entry = rescoreEntry(existing, scores);
+    appendRaceScore(round, entry);
+
+    const delta = entry.total - (existing.total || 0);
+    if (delta !== 0) {
+      const { reason } = entry.revisions[entry.revisions.length - 1];
+      emit(HookEvents.NOTIFICATION, {
+        text: `Round ${round} rescored: ${delta > 0 ? '+' : ''}${delta} for you after ${reason}`,
+        type: 'info',
+      });
+    }
+    return true;
+  }
+
+  const snapshot = getTeamSnapshot(round);
+  if (!snapshot || !snapshot.drivers.some(Boolean)) return false;
+
+  const entry = buildRoundEntry(snapshot, weekendScores, snapshot.boosts);
+  appendRaceScore(round, entry);
+  consumeBoosts(snapshot.boosts);
+  return true;
+}
+
+/**
+ * Rescore revised rounds for every other league member.
+ * Members' own clients do the same on their next poll; this covers the rest.
+ */
+async function rescoreLeagueRounds(rounds, weekendScores, scoresFor) {
+  const me = getCurrentUser()?.uid;
+  const users = await getAllUsers();
+
+  for (const user of users) {
+    if (user.id === me || user.isTestUser) continue;
+    for (const round of rounds) {
+      const existing = user.scoringHistory?.[round];
+      const ws = weekendScores[round];
+      if (!existing || existing.simulated || !existing.fingerprint) continue;
+      if (existing.fingerprint === ws.fingerprint) continue;
+      const scores = scoresFor(round, entryRulesetId(existing));
+      if (!scores) continue;
+      await saveUserRoundEntry(user.id, round, rescoreEntry(existing, scores));
+    }
+  }
+}
+
+// ===== Revision Detection =====
+
+// Small stable string hash (djb2), enough to tell two result sets apart
+function hashString(str) {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Hash everything processRaceWeekend() reads for one round.
+ */
+function hashInputs(weekend) {
+  const classify = rows => (rows || []).map(r => [
+    r.Driver?.driverId, r.Constructor?.constructorId, r.position, r.status, r.grid,
+    r.FastestLap?.rank === '1',
+  ]);
+
+  return hashString(JSON.stringify({
+    results: classify(weekend.results),
+    sprint: classify(weekend.sprint),
+    qualifying: (weekend.qualifying || []).map(q => [
+      q.Driver?.driverId, q.position, Boolean(q.Q1), Boolean(q.Q2), Boolean(q.Q3),
+    ]),
+    pitStops: (weekend.pitStops || []).map(p => [p.driverId, p.lap, p.duration]),
+    pitStopOverrides: weekend.pitStopOverrides || {},
+    driverOfTheDay: weekend.driverOfTheDay || null,
+    overtakes: weekend.overtakes || {},
+  }));
+}
+
+/**
+ * Whether any driver's or constructor's points differ between two versions of a round.
+ */
+function scoresChanged(prev, next) {
+  const differ = (a = {}, b = {}) => Object.keys({ ...a, ...b }).some(id => a[id]?.total !== b[id]?.total);
+  return differ(prev.driverScores, next.driverScores) || differ(prev.constructorScores, next.constructorScores);
+}
+
+/**
+ * Hash the parts of a round that later rounds' streaks read: who qualified
+ * and finished where, and for which constructor.
+ */
+function hashStreakInputs(weekend) {
+  return hashString(JSON.stringify({
+    results: (weekend.results || []).map(r => [
+      r.Driver?.driverId, r.Constructor?.constructorId, r.position, r.status,
+    ]),
+    qualifying: (weekend.qualifying || []).map(q => [
+      q.Driver?.driverId, q.Constructor?.constructorId, q.position,
+    ]),
+  }));
+}
+
+/**
+ * Explain what changed between two versions of a round, e.g. "Stroll penalty".
+ * @param {object} prev - Previous weekend scores
+ * @param {object} next - Revised weekend scores
+ * @returns {string}
+ */
+function describeRevision(prev, next) {
+  if ((prev.driverOfTheDay || null) !== (next.driverOfTheDay || null)) {
+    return 'Driver of the Day update';
+  }
+
+  // The driver who lost the most (a DSQ beats any drop) is the likely penalty
+  const penalised = [];
+  for (const [driverId, after] of Object.entries(next.driverScores || {})) {
+    const before = prev.driverScores?.[driverId];
+    if (!before) continue;
+    const dsq = after.status === 'Disqualified' && before.status !== 'Disqualified';
+    const drop = (after.position || 0) - (before.position || 0);
+    if (dsq || drop > 0) penalised.push({ driverId, name: after.driverName, dsq, drop });
+  }
+  if (penalised.length === 0) return 'results update';
+
+  penalised.sort((a, b) => (b.dsq - a.dsq) || (b.drop - a.drop));
+  const top = penalised[0];
+  const driver = DRIVERS.find(d => d.id === top.driverId);
+  const name = driver?.lastName || top.name?.split(' ').pop() || top.driverId;
+  return `${name} ${top.dsq ? 'disqualification' : 'penalty'}`;
+}
@@ -3,6 +3,7 @@
 // Cloud sync via Firestore is layered on top -- localStorage acts as local cache.
 
 import { saveTeamToCloud, isFirebaseReady } from './auth.js';
+import { createBoostState } from '../scoring/boosts.js';
 
 const STORAGE_PREFIX = 'f1fantasy_';
 
@@ -11,8 +12,12 @@ const KEYS = {
   SCORING_HISTORY: `${STORAGE_PREFIX}scoring_history`,
   BOOSTS: `${STORAGE_PREFIX}boosts`,
   TRANSFERS: `${STORAGE_PREFIX}transfers`,
+  SNAPSHOTS: `${STORAGE_PREFIX}snapshots`,
   LAST_SYNC: `${STORAGE_PREFIX}last_sync`,
   CACHED_RESULTS: `${STORAGE_PREFIX}cached_results`,
+  WEEKEND_SCORES: `${STORAGE_PREFIX}weekend_scores`,
+  LEAGUE_SCORING: `${STORAGE_PREFIX}league_scoring`,
+  PRICE_HISTORY: `${STORAGE_PREFIX}price_history`,
   PREFERENCES: `${STORAGE_PREFIX}preferences`,
   GUEST_PROFILE: `${STORAGE_PREFIX}guest_profile`,
   TEST_RESULTS: `${STORAGE_PREFIX}test_results`,
@@ -31,6 +36,7 @@ function scheduleCloudSync() {
       scoringHistory: read(KEYS.SCORING_HISTORY) || {},
       boosts: read(KEYS.BOOSTS) || {},
       transfers: read(KEYS.TRANSFERS) || [],
+      snapshots: read(KEYS.SNAPSHOTS) || {},
     };
     saveTeamToCloud(data).catch(err => {
       console.warn('[Storage] Cloud sync failed:', err.message);
@@ -86,7 +92,8 @@ export function saveTeam(team) {
 
 // ===== Scoring History =====
 // Stores per-race fantasy points for each driver on the user's team.
-// Shape: { [raceRound]: { driverScores: { [driverId]: points }, constructorScore: points, total: points } }
+// Shape: { [raceRound]: { driverScores: { [driverId]: breakdown }, constructorScores: { [constructorId]: breakdown }, constructorScore: points, boostLedger: [{ key, target, points }], total: points } }
+// Entries scored before constructor breakdowns were stored hold plain points in constructorScores.
 
 export function loadScoringHistory() {
   return read(KEYS.SCORING_HISTORY) || {};
@@ -108,14 +115,7 @@ export function appendRaceScore(round, scoreData) {
 
 export function loadBoosts() {
   const stored = read(KEYS.BOOSTS);
-  const defaults = {
-    drs: { used: false, target: null, active: false },
-    mega: { used: false, target: null, active: false },
-    'extra-drs': { used: false, target: null, active: false },
-    limitless: { used: false, active: false },
-    wildcard: { used: false, active: false },
-    'no-negative': { used: false, active: false },
-  };
+  const defaults = createBoostState();
   if (!stored) return defaults;
   // Merge in any new boost types that don't exist yet
   for (const key of Object.keys(defaults)) {
@@ -140,6 +140,19 @@ export function saveTransferLog(log) {
   scheduleCloudSync();
 }
 
+// ===== Team Snapshots =====
+// Lineup frozen at each round's qualifying deadline; never edited once written.
+// Shape: { [raceRound]: { drivers, constructors, boosts, budget, purchases, lockedAt } }
+
+export function loadTeamSnapshots() {
+  return read(KEYS.SNAPSHOTS) || {};
+}
+
+export function saveTeamSnapshots(snapshots) {
+  write(KEYS.SNAPSHOTS, snapshots);
+  scheduleCloudSync();
+}
+
 // ===== Cached Results =====
 // Store the last fetched race results so we don't need network on every load.
 
@@ -151,6 +164,11 @@ export function loadCachedResults() {
     driverStandings: [],
     constructorStandings: [],
     schedule: [],
+    pitStops: {},
+    driverOfTheDay: {},
+    pitStopOverrides: {},
+    overtakes: {},
+    circuitHistory: {},
   };
 }
 
@@ -158,6 +176,42 @@ export function saveCachedResults(results) {
   write(KEYS.CACHED_RESULTS, results);
 }
 
+// ===== Weekend Scores =====
+// Engine output (processRaceWeekend) for every real round, keyed by round.
+// Derived from cached results, so it stays local and is never cloud-synced.
+
+export function loadWeekendScores() {
+  return read(KEYS.WEEKEND_SCORES) || {};
+}
+
+export function saveWeekendScores(scores) {
+  write(KEYS.WEEKEND_SCORES, scores);
+}
+
+// ===== Price History =====
+// Prices after each scored round, rebuilt from weekend scores on every sync.
+// Shape: { [raceRound]: { drivers: { [driverId]: price }, constructors: { [constructorId]: price } } }
+
+export function loadPriceHistory() {
+  return read(KEYS.PRICE_HISTORY) || {};
+}
+
+export function savePriceHistory(history) {
+  write(KEYS.PRICE_HISTORY, history);
+}
+
+// ===== League Scoring =====
+// Last-seen copy of the commissioner's rulesets (league/scoring), so new rounds
+// are scored with the league's rules even before Firestore answers.
+
+export function loadLeagueScoringCache() {
+  return read(KEYS.LEAGUE_SCORING) || null;
+}
+
+export function saveLeagueScoringCache(settings) {
+  write(KEYS.LEAGUE_SCORING, settings);
+}
+
 // ===== Last Sync =====
 
 export function loadLastSync() {
@@ -221,4 +275,5 @@ export function hydrateFromCloud(cloudData) {
   if (cloudData.scoringHistory) write(KEYS.SCORING_HISTORY, cloudData.scoringHistory);
   if (cloudData.boosts) write(KEYS.BOOSTS, cloudData.boosts);
   if (cloudData.transfers) write(KEYS.TRANSFERS, cloudData.transfers);
+  if (cloudData.snapshots) write(KEYS.SNAPSHOTS, cloudData.snapshots);
 }
@@ -1,17 +1,22 @@
 // Test Mode Service
 // Creates test users, generates realistic mock race data, and simulates
 // a full season one race at a time. All data is written to Firestore
-// with an `isTestUser: true` marker for easy cleanup.
+// with an `isTestUser: true` marker for easy cleanup. Every random choice
+// comes from a seeded generator, and each simulated round records its seed,
+// so any round can be regenerated exactly.
 
 import {
   doc, setDoc, deleteDoc, updateDoc,
 } from 'https://www.gstatic.com/firebasejs/12.9.0/firebase-firestore.js';
 
-import { DRIVERS, CONSTRUCTORS, RACE_CALENDAR, BUDGET } from '../config.js';
+import { DRIVERS, CONSTRUCTORS, BUDGET } from '../config.js';
 import { processRaceWeekend, calculateTeamScore } from '../scoring/engine.js';
+import { createBoostState, getBoostDef } from '../scoring/boosts.js';
 import { getAllUsers, getDb, getCurrentUser } from './auth.js';
 import { saveCachedResults, loadCachedResults, loadTestResults, saveTestResults, clearTestResults } from './storage.js';
 import { emit, HookEvents } from './hooks.js';
+import { generateRaceResults, pickRandom } from './race-generator.js';
+import { createRng, randomSeed } from './prng.js';
 
 // ===== Constants =====
 
@@ -20,40 +25,28 @@ const TEST_USER_NAMES = [
   'Morgan Smith', 'Taylor Brown', 'Casey Davis', 'Jordan Miller',
 ];
 
-const DNF_STATUSES = ['Retired', 'Collision', 'Engine', 'Gearbox', 'Hydraulics'];
-
 // ===== Helpers =====
 
 function generateTestUserId(index) {
   return `test-user-${index + 1}`;
 }
 
-function shuffle(arr) {
+function shuffle(arr, rng = Math.random) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
 }
 
-function pickRandom(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
-}
-
-function generateLapTime(baseSeconds, variance) {
-  const time = baseSeconds + Math.random() * variance;
-  const mins = Math.floor(time / 60);
-  const secs = (time % 60).toFixed(3);
-  return `${mins}:${secs.padStart(6, '0')}`;
-}
-
 // ===== Team Generation =====
 
 /**
  * Generate a random valid team (5 drivers + 2 constructors) within the $100M budget.
+ * @param {() => number} [rng] - Random source (see prng.js)
  */
-export function generateRandomTeam() {
+export function generateRandomTeam(rng = Math.random) {
   const budget = BUDGET.STARTING;
   const sortedConstructors = [...CONSTRUCTORS].sort((a, b) => a.price - b.price);
   const minTwoConstructors = sortedConstructors[0].price + sortedConstructors[1].price;
@@ -62,7 +55,7 @@ export function generateRandomTeam() {
   const cheapestDriverPrice = sortedDrivers[0].price;
 
   // Shuffle drivers to get random selection order
-  const shuffledDrivers = shuffle(DRIVERS);
+  const shuffledDrivers = shuffle(DRIVERS, rng);
   const selectedDrivers = [];
   let driverSpend = 0;
 
@@ -95,7 +88,7 @@ export function generateRandomTeam() {
 
   // Pick 2 constructors from remaining budget
   const remainingBudget = budget - driverSpend;
-  const shuffledConstructors = shuffle(CONSTRUCTORS);
+  const shuffledConstructors = shuffle(CONSTRUCTORS, rng);
   const selectedConstructors = [];
   let constructorSpend = 0;
 
@@ -136,41 +129,35 @@ export function generateRandomTeam() {
 // ===== Boost Simulation =====
 
 function generateFreshBoosts() {
-  return {
-    drs: { used: false, target: null, active: false },
-    mega: { used: false, target: null, active: false },
-    'extra-drs': { used: false, target: null, active: false },
-    limitless: { used: false, active: false },
-    wildcard: { used: false, active: false },
-    'no-negative': { used: false, active: false },
-  };
+  return createBoostState();
 }
 
 /**
  * Randomly activate a boost for a test user this round.
+ * @param {() => number} [rng] - Random source (see prng.js)
  */
-export function pickBoostsForRound(team, boosts) {
+export function pickBoostsForRound(team, boosts, rng = Math.random) {
   const active = JSON.parse(JSON.stringify(boosts));
-  const randomDriver = pickRandom(team.drivers.filter(Boolean));
+  const randomDriver = pickRandom(team.drivers.filter(Boolean), rng);
 
   // ~8% chance to use Mega (if unused)
-  if (!active.mega?.used && Math.random() < 0.08 && randomDriver) {
+  if (!active.mega?.used && rng() < 0.08 && randomDriver) {
     active.mega = { active: true, target: randomDriver, used: false };
     return active;
   }
 
   // ~20% chance to use DRS
-  if (Math.random() < 0.20 && randomDriver) {
+  if (rng() < 0.20 && randomDriver) {
     active.drs = { active: true, target: randomDriver, used: false };
   }
 
   // ~6% chance to use No-Negative (if unused)
-  if (!active['no-negative']?.used && Math.random() < 0.06) {
+  if (!active['no-negative']?.used && rng() < 0.06) {
     active['no-negative'] = { active: true, used: false };
   }
 
   // ~5% chance to use Extra-DRS (if unused)
-  if (!active['extra-drs']?.used && Math.random() < 0.05 && randomDriver) {
+  if (!active['extra-drs']?.used && rng() < 0.05 && randomDriver) {
     active['extra-drs'] = { active: true, target: randomDriver, used: false };
   }
 
@@ -183,7 +170,7 @@ export function pickBoostsForRound(team, boosts) {
 function consumeBoosts(boosts) {
   const updated = JSON.parse(JSON.stringify(boosts));
   for (const [key, boost] of Object.entries(updated)) {
-    if (boost.active && key !== 'drs') {
+    if (boost.active && getBoostDef(key)?.oncePerSeason) {
       updated[key] = { ...boost, used: true, active: false, target: null };
     } else if (boost.active) {
       updated[key] = { ...boost, active: false, target: null };
@@ -192,163 +179,24 @@ function consumeBoosts(boosts) {
   return updated;
 }
 
-// ===== Race Result Generation =====
-
-/**
- * Compute a base "strength" for a driver (lower = faster).
- * Weighted by price so expensive drivers tend to finish higher.
- */
-function driverStrength(driver, variance = 10) {
-  const maxPrice = 30;
-  const base = 1 + (maxPrice - driver.price) * (21 / 25);
-  return base + (Math.random() - 0.5) * variance;
-}
-
-/**
- * Generate a full set of race results for a round in Ergast/Jolpica API format.
- * Includes race results, qualifying, and sprint (if applicable).
- */
-export function generateRaceResults(round) {
-  const raceInfo = RACE_CALENDAR.find(r => r.round === round);
-  if (!raceInfo) return null;
-
-  // --- Qualifying ---
-  const qualiOrder = DRIVERS.map(d => ({ driver: d, strength: driverStrength(d, 8) }))
-    .sort((a, b) => a.strength - b.strength);
-
-  const qualifying = qualiOrder.map((entry, i) => {
-    const pos = i + 1;
-    const result = {
-      Driver: { driverId: entry.driver.id },
-      position: String(pos),
-      Q1: generateLapTime(90, 2),
-    };
-    if (pos <= 15) result.Q2 = generateLapTime(89, 1.5);
-    if (pos <= 10) result.Q3 = generateLapTime(88, 1.0);
-    return result;
-  });
-
-  // Grid map from qualifying
-  const gridMap = {};
-  qualiOrder.forEach((entry, i) => { gridMap[entry.driver.id] = i + 1; });
-
-  // --- Race ---
-  const raceOrder = DRIVERS.map(d => ({ driver: d, strength: driverStrength(d, 10) }))
-    .sort((a, b) => a.strength - b.strength);
-
-  // Pick a fastest-lap driver from the top 10 finishers (non-DNF)
-  const fastestLapIndex = Math.floor(Math.random() * Math.min(10, raceOrder.length));
-
-  let positionCounter = 1;
-  const results = [];
-
-  for (let i = 0; i < raceOrder.length; i++) {
-    const d = raceOrder[i].driver;
-    const gridPos = gridMap[d.id] || (i + 1);
-
-    // DNF chance: higher for cheaper drivers
-    const dnfChance = d.price < 8 ? 0.10 : 0.05;
-    const isDNF = Math.random() < dnfChance;
-
-    let status;
-    let position;
-
-    if (isDNF) {
-      status = pickRandom(DNF_STATUSES);
-      position = String(20 + Math.floor(Math.random() * 3)); // DNF positions at the back
-    } else {
-      status = positionCounter <= 20 ? 'Finished' : '+1 Lap';
-      position = String(positionCounter);
-      positionCounter++;
-    }
-
-    const result = {
-      Driver: {
-        driverId: d.id,
-        givenName: d.firstName,
-        familyName: d.lastName,
-      },
-      Constructor: {
-        constructorId: d.team,
-      },
-      position,
-      grid: String(gridPos),
-      status,
-    };
-
-    // Assign fastest lap to one non-DNF top-10 finisher
-    if (i === fastestLapIndex && !isDNF) {
-      result.FastestLap = { rank: '1' };
-    }
-
-    results.push(result);
-  }
-
-  // Ensure exactly one fastest lap exists (if the chosen driver DNF'd, pick another)
-  const hasFastestLap = results.some(r => r.FastestLap?.rank === '1');
-  if (!hasFastestLap) {
-    const eligible = results.filter(r => !DNF_STATUSES.includes(r.status));
-    if (eligible.length > 0) {
-      eligible[0].FastestLap = { rank: '1' };
-    }
-  }
-
-  // --- Sprint (only for sprint weekends) ---
-  let sprint = [];
-  if (raceInfo.sprint) {
-    const sprintOrder = DRIVERS.map(d => ({ driver: d, strength: driverStrength(d, 8) }))
-      .sort((a, b) => a.strength - b.strength);
-
-    const sprintFLIndex = Math.floor(Math.random() * Math.min(8, sprintOrder.length));
-    let sprintPos = 1;
-
-    sprint = sprintOrder.map((entry, i) => {
-      const d = entry.driver;
-      const isDNF = Math.random() < 0.03;
-      const result = {
-        Driver: { driverId: d.id, givenName: d.firstName, familyName: d.lastName },
-        Constructor: { constructorId: d.team },
-        position: isDNF ? String(20 + Math.floor(Math.random() * 3)) : String(sprintPos),
-        status: isDNF ? 'Retired' : 'Finished',
-      };
-      if (!isDNF) sprintPos++;
-      if (i === sprintFLIndex && !isDNF) {
-        result.FastestLap = { rank: '1' };
-      }
-      return result;
-    });
-
-    // Ensure sprint has a fastest lap
-    if (!sprint.some(r => r.FastestLap?.rank === '1')) {
-      const eligible = sprint.filter(r => r.status === 'Finished');
-      if (eligible.length > 0) eligible[0].FastestLap = { rank: '1' };
-    }
-  }
-
-  return {
-    round,
-    raceName: raceInfo.name,
-    results,
-    qualifying,
-    sprint,
-  };
-}
-
 // ===== Test User CRUD =====
 
 /**
  * Create test users in Firestore with random teams.
+ * @param {number} [count]
+ * @param {number|string} [seed] - Same seed, same teams
  */
-export async function createTestUsers(count = 8) {
+export async function createTestUsers(count = 8, seed = randomSeed()) {
   const db = getDb();
   if (!db) throw new Error('Firestore not initialized');
 
   const clamped = Math.min(Math.max(count, 2), 8);
+  const rng = createRng(seed);
   const testUsers = [];
 
   for (let i = 0; i < clamped; i++) {
     const uid = generateTestUserId(i);
-    const team = generateRandomTeam();
+    const team = generateRandomTeam(rng);
 
     const userData = {
       displayName: TEST_USER_NAMES[i] || `Test User ${i + 1}`,
@@ -359,6 +207,7 @@ export async function createTestUsers(count = 8) {
       scoringHistory: {},
       boosts: generateFreshBoosts(),
       transfers: [],
+      teamSeed: seed,
       createdAt: new Date(),
       lastActive: new Date(),
     };
@@ -447,11 +296,15 @@ export async function getTestModeState() {
   const testUsers = allUsers.filter(u => u.isTestUser === true);
 
   let maxScoredRound = 0;
+  const seeds = {};
   for (const user of testUsers) {
     const rounds = Object.keys(user.scoringHistory || {}).map(Number);
     if (rounds.length > 0) {
       maxScoredRound = Math.max(maxScoredRound, ...rounds);
     }
+    for (const [round, entry] of Object.entries(user.scoringHistory || {})) {
+      if (entry.seed !== undefined) seeds[round] = entry.seed;
+    }
   }
 
   return {
@@ -459,26 +312,57 @@ export async function getTestModeState() {
     testUserCount: testUsers.length,
     currentRound: maxScoredRound,
     nextRound: maxScoredRound < 24 ? maxScoredRound + 1 : null,
+    teamSeed: testUsers[0]?.teamSeed ?? null,
+    seeds,
     testUsers,
   };
 }
 
 // ===== Race Simulation =====
 
+/**
+ * The mock race data a seed produces for a round, exactly as simulateRace() generated it.
+ * @param {number} round
+ * @param {number|string} seed - The round's recorded seed
+ * @returns {object|null} See generateRaceResults
+ */
+export function regenerateRaceResults(round, seed) {
+  return generateRaceResults(round, createRng(seed));
+}
+
+// Race data of the simulated rounds before this one, for streaks
+function previousSimulatedRounds(testResultsCache, round) {
+  return Object.keys(testResultsCache)
+    .map(Number)
+    .filter(r => r < round && testResultsCache[r].raceData)
+    .sort((a, b) => a - b)
+    .map(r => testResultsCache[r].raceData);
+}
+
+// Each test user's boost picks get their own stream, so a round's race data
+// depends only on its seed and not on which users exist
+function boostRng(seed, uid) {
+  return createRng(`${seed}:boosts:${uid}`);
+}
+
 /**
  * Simulate a single race round for all test users.
  * Generates mock results, runs the scoring engine, and writes scores to Firestore.
+ * @param {number} round
+ * @param {number|string} [seed] - Replays a round when given its recorded seed
  */
-export async function simulateRace(round) {
+export async function simulateRace(round, seed = randomSeed()) {
   const db = getDb();
   if (!db) throw new Error('Firestore not initialized');
 
   // 1. Generate mock race data
-  const raceData = generateRaceResults(round);
+  const raceData = regenerateRaceResults(round, seed);
   if (!raceData) throw new Error(`Invalid round: ${round}`);
 
-  // 2. Run scoring engine
-  const weekendScores = processRaceWeekend(raceData);
+  // 2. Run scoring engine, with earlier simulated rounds feeding streaks
+  const testResultsCache = loadTestResults();
+  const previousRounds = previousSimulatedRounds(testResultsCache, round);
+  const weekendScores = processRaceWeekend({ ...raceData, previousRounds });
 
   // 3. Load test users
   const allUsers = await getAllUsers();
@@ -488,7 +372,7 @@ export async function simulateRace(round) {
   for (const user of testUsers) {
     if (!user.team) continue;
 
-    const boosts = pickBoostsForRound(user.team, user.boosts || generateFreshBoosts());
+    const boosts = pickBoostsForRound(user.team, user.boosts || generateFreshBoosts(), boostRng(seed, user.id));
     const teamScore = calculateTeamScore(user.team, weekendScores, boosts);
 
     const roundEntry = {
@@ -496,6 +380,9 @@ export async function simulateRace(round) {
       constructorScore: teamScore.constructorTotal,
       total: teamScore.teamTotal,
       raceName: raceData.raceName,
+      rulesetId: weekendScores.rulesetId,
+      boostLedger: teamScore.boostLedger,
+      seed,
       timestamp: new Date().toISOString(),
     };
 
@@ -525,6 +412,9 @@ export async function simulateRace(round) {
       constructorScore: teamScore.constructorTotal,
       total: teamScore.teamTotal,
       raceName: raceData.raceName,
+      rulesetId: weekendScores.rulesetId,
+      boostLedger: teamScore.boostLedger,
+      seed,
       timestamp: new Date().toISOString(),
       simulated: true,
     };
@@ -549,14 +439,18 @@ export async function simulateRace(round) {
     localStorage.setItem('f1fantasy_scoring_history', JSON.stringify(localHistory));
   }
 
-  // 7. Cache weekendScores and build standings
-  const testResultsCache = loadTestResults();
-  testResultsCache[round] = weekendScores;
+  // 7. Cache weekendScores (with the raw results later rounds need for streaks) and build standings
+  testResultsCache[round] = {
+    ...weekendScores,
+    seed,
+    raceData: { results: raceData.results, qualifying: raceData.qualifying },
+  };
   saveTestResults(testResultsCache);
   buildAndCacheStandings(testResultsCache);
 
   return {
     round,
+    seed,
     raceName: raceData.raceName,
     raceData,
     weekendScores,
@@ -565,6 +459,42 @@ export async function simulateRace(round) {
   };
 }
 
+/**
+ * Regenerate a simulated round from its recorded seed and score it again with
+ * the current scoring code, to check a scoring fix against the same race.
+ * Only the cached weekend scores and standings are rewritten; users' scoring
+ * history and boosts are left as they were.
+ * @param {number} round
+ * @param {number|string} seed - The round's recorded seed
+ * @returns {{ round, seed, raceName, raceData, weekendScores, changedDrivers: string[] }}
+ *   changedDrivers: drivers whose total differs from the cached score
+ */
+export function replayRound(round, seed) {
+  const raceData = regenerateRaceResults(round, seed);
+  if (!raceData) throw new Error(`Invalid round: ${round}`);
+
+  const testResultsCache = loadTestResults();
+  const weekendScores = processRaceWeekend({
+    ...raceData,
+    previousRounds: previousSimulatedRounds(testResultsCache, round),
+    silent: true,
+  });
+
+  const before = testResultsCache[round]?.driverScores || {};
+  const changedDrivers = Object.keys(weekendScores.driverScores)
+    .filter(id => before[id]?.total !== weekendScores.driverScores[id].total);
+
+  testResultsCache[round] = {
+    ...weekendScores,
+    seed,
+    raceData: { results: raceData.results, qualifying: raceData.qualifying },
+  };
+  saveTestResults(testResultsCache);
+  buildAndCacheStandings(testResultsCache);
+
+  return { round, seed, raceName: raceData.raceName, raceData, weekendScores, changedDrivers };
+}
+
 // ===== Standings Builder =====
 
 /**
@@ -4,10 +4,18 @@
 import {
   getAllUsers, updateUserRole, removeUser, isAdmin,
   postAnnouncement, getAnnouncements, deleteAnnouncement,
-  getCurrentUser, saveH2HSchedule,
+  getCurrentUser, saveH2HSchedule, saveDriverOfTheDay, loadRoundSettings,
+  publishLeagueRuleset, setLeagueActiveRuleset,
 } from '../services/auth.js';
+import { DRIVERS, RACE_CALENDAR, getFlag } from '../config.js';
 import { generateRoundRobinSchedule } from '../services/h2h.js';
-import { emit, HookEvents } from '../services/hooks.js';
+import { loadCachedResults } from '../services/storage.js';
+import { buildRaceWeekends, buildRoundEntry } from '../services/scoring-pipeline.js';
+import { processRaceWeekend } from '../scoring/engine.js';
+import {
+  getRuleset, getActiveRuleset, validateRules, diffRules, DEFAULT_RULESET_ID,
+} from '../scoring/rulesets.js';
+import { emit, on, HookEvents } from '../services/hooks.js';
 import { showToast } from './toast.js';
 import { initTestMode } from './test-mode.js';
 
@@ -15,6 +23,8 @@ export function initAdmin() {
   if (!isAdmin()) return;
   setupAnnouncementForm();
   initH2HAdminCard();
+  initDriverOfTheDayCard();
+  initLeagueScoringCard();
   renderAdminPanel();
   initTestMode();
 }
@@ -231,3 +241,312 @@ function initH2HAdminCard() {
     }
   });
 }
+
+// ===== Driver of the Day =====
+
+let _dotdPicks = {}; // { [round]: driverId } as last loaded from Firestore
+
+function initDriverOfTheDayCard() {
+  const form = document.getElementById('admin-dotd-form');
+  if (!form) return;
+
+  const roundSelect = document.getElementById('admin-dotd-round');
+  const driverSelect = document.getElementById('admin-dotd-driver');
+
+  // Only rounds whose race has started can have a Driver of the Day
+  const now = new Date();
+  const pastRaces = RACE_CALENDAR.filter(r => new Date(r.date + 'T14:00:00Z') < now);
+  roundSelect.innerHTML = pastRaces.length > 0
+    ? pastRaces.map(r => `<option value="${r.round}">R${r.round} ${getFlag(r.flag)} ${r.name}</option>`).reverse().join('')
+    : '<option value="">No races yet</option>';
+
+  driverSelect.innerHTML = '<option value="">None</option>' + [...DRIVERS]
+    .sort((a, b) => a.lastName.localeCompare(b.lastName))
+    .map(d => `<option value="${d.id}">${d.firstName} ${d.lastName}</option>`)
+    .join('');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const round = roundSelect.value;
+    if (!round) return;
+
+    const btn = form.querySelector('button');
+    btn.disabled = true;
+    btn.textContent = 'Saving...';
+
+    try {
+      await saveDriverOfTheDay(round, driverSelect.value || null);
+      showToast(`Driver of the Day saved for round ${round}.`, 'success');
+      await renderDriverOfTheDayList();
+      // Rescore this device right away; everyone else picks it up on their next poll
+      window.dispatchEvent(new CustomEvent('f1fantasy:forcesync'));
+    } catch (err) {
+      showToast('Failed to save Driver of the Day: ' + err.message, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Save';
+    }
+  });
+
+  roundSelect.addEventListener('change', () => syncDriverSelect());
+  renderDriverOfTheDayList();
+}
+
+function syncDriverSelect() {
+  const round = document.getElementById('admin-dotd-round')?.value;
+  const driverSelect = document.getElementById('admin-dotd-driver');
+  if (driverSelect) driverSelect.value = _dotdPicks[round] || '';
+}
+
+async function renderDriverOfTheDayList() {
+  const container = document.getElementById('admin-dotd-list');
+  if (!container) return;
+
+  try {
+    const settings = await loadRoundSettings();
+    _dotdPicks = {};
+    for (const [round, s] of Object.entries(settings)) {
+      if (s.driverOfTheDay) _dotdPicks[round] = s.driverOfTheDay;
+    }
+    syncDriverSelect();
+
+    const rounds = Object.keys(_dotdPicks).sort((a, b) => Number(b) - Number(a));
+    if (rounds.length === 0) {
+      container.innerHTML = '<p style="color:var(--text-muted);font-size:0.85rem">No Driver of the Day set yet.</p>';
+      return;
+    }
+
+    container.innerHTML = rounds.map(round => {
+      const race = RACE_CALENDAR.find(r => r.round === Number(round));
+      const driver = DRIVERS.find(d => d.id === _dotdPicks[round]);
+      return `
+        <div class="dotd-list__item">
+          <span class="dotd-list__race">R${round} ${race ? `${getFlag(race.flag)} ${race.name}` : ''}</span>
+          <strong>${driver ? `${driver.firstName} ${driver.lastName}` : escapeHtml(_dotdPicks[round])}</strong>
+        </div>
+      `;
+    }).join('');
+  } catch (err) {
+    console.error('[Admin] Failed to load Driver of the Day:', err);
+    container.innerHTML = '<p style="color:var(--accent-red);font-size:0.85rem">Failed to load Driver of the Day.</p>';
+  }
+}
+
+// ===== League Scoring =====
+// Editor for the league's house rules. The form is generated from the official
+// rules, and only the values that differ are published as a new ruleset version.
+
+const RULE_LABELS = {
+  RACE_FINISH: 'Race finish',
+  SPRINT: 'Sprint finish',
+  DRIVER_QUALIFYING: 'Driver qualifying',
+  CONSTRUCTOR_QUALIFYING: 'Constructor qualifying',
+  PIT_STOP: 'Pit stops',
+  STREAKS: 'Streaks',
+  TEAMMATE: 'Teammate battle',
+  ENABLED: 'Award points',
+  DNF_PENALTY: 'DNF penalty',
+  DSQ_PENALTY_DRIVER: 'DSQ penalty (driver)',
+  DSQ_PENALTY_CONSTRUCTOR: 'DSQ penalty (constructor)',
+  OVERTAKE_LAP_ONE: 'Count lap one overtakes',
+  NO_TIME: 'No time set',
+  RECORD_TIME: 'Record time (s)',
+};
+
+function ruleLabel(key) {
+  if (RULE_LABELS[key]) return RULE_LABELS[key];
+  if (/^\d+$/.test(key)) return `P${key}`;
+  const under = key.match(/^UNDER_(\d)_(\d)$/);
+  if (under) return `Under ${under[1]}.${under[2]}s`;
+  const words = key.toLowerCase().replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function renderRuleInput(path, value) {
+  const input = typeof value === 'boolean'
+    ? `<input type="checkbox" data-path="${path}" ${value ? 'checked' : ''}>`
+    : `<input type="number" step="any" data-path="${path}" value="${value}" class="announcement-form__input">`;
+  return `<label class="scoring-editor__field"><span>${ruleLabel(path.split('.').pop())}</span>${input}</label>`;
+}
+
+function renderRuleFields(rules, official, path = '') {
+  const scalars = [];
+  const tables = [];
+  for (const [key, value] of Object.entries(official)) {
+    const name = path ? `${path}.${key}` : key;
+    if (value && typeof value === 'object') {
+      tables.push(`
+        <fieldset class="scoring-editor__group">
+          <legend>${ruleLabel(key)}</legend>
+          ${renderRuleFields(rules[key], value, name)}
+        </fieldset>
+      `);
+    } else {
+      scalars.push(renderRuleInput(name, rules[key]));
+    }
+  }
+  return `<div class="scoring-editor__fields">${scalars.join('')}</div>${tables.join('')}`;
+}
+
+function renderLeagueScoringForm(ruleset) {
+  const fields = document.getElementById('admin-scoring-fields');
+  const nameInput = document.getElementById('admin-scoring-name');
+  const status = document.getElementById('admin-scoring-status');
+  if (!fields) return;
+
+  const active = getActiveRuleset();
+  status.textContent = `In use: ${active.name} (${active.id})`;
+  nameInput.value = ruleset.id === DEFAULT_RULESET_ID ? '' : ruleset.name;
+  fields.innerHTML = renderRuleFields(ruleset.rules, getRuleset(DEFAULT_RULESET_ID).rules);
+  document.getElementById('admin-scoring-errors').innerHTML = '';
+  document.getElementById('admin-scoring-preview-body').innerHTML = '';
+}
+
+/**
+ * Read the editor into overrides of the official rules and validate them.
+ * @returns {{ valid: boolean, errors: string[], rules: object, overrides: object }}
+ */
+function readLeagueScoringForm() {
+  const rules = structuredClone(getRuleset(DEFAULT_RULESET_ID).rules);
+  document.querySelectorAll('#admin-scoring-fields [data-path]').forEach(input => {
+    const keys = input.dataset.path.split('.');
+    const last = keys.pop();
+    const table = keys.reduce((node, key) => node[key], rules);
+    table[last] = input.type === 'checkbox'
+      ? input.checked
+      : (input.value.trim() === '' ? NaN : Number(input.value));
+  });
+
+  const overrides = diffRules(rules);
+  const result = validateRules(overrides);
+
+  document.getElementById('admin-scoring-errors').innerHTML = result.errors
+    .map(err => `<li>${escapeHtml(err)}</li>`)
+    .join('');
+  return { ...result, overrides };
+}
+
+function initLeagueScoringCard() {
+  const form = document.getElementById('admin-scoring-form');
+  if (!form) return;
+
+  const active = getActiveRuleset();
+  renderLeagueScoringForm(active);
+
+  document.getElementById('admin-scoring-reset').addEventListener('click', () => {
+    renderLeagueScoringForm(getRuleset(DEFAULT_RULESET_ID));
+  });
+
+  document.getElementById('admin-scoring-preview').addEventListener('click', async (e) => {
+    const { valid, rules } = readLeagueScoringForm();
+    if (!valid) return;
+
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    btn.textContent = 'Previewing...';
+    try {
+      await renderLeagueScoringPreview(rules);
+    } catch (err) {
+      showToast('Failed to preview rules: ' + err.message, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Preview';
+    }
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { valid, overrides } = readLeagueScoringForm();
+    if (!valid) return;
+
+    const isOfficial = Object.keys(overrides).length === 0;
+    const name = document.getElementById('admin-scoring-name').value.trim() || 'League rules';
+    const message = isOfficial
+      ? 'Switch the league back to the official scoring rules?'
+      : `Publish "${name}" for the whole league? Rounds already scored keep their points.`;
+    if (!confirm(message)) return;
+
+    const btn = form.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    btn.textContent = 'Publishing...';
+
+    try {
+      if (isOfficial) {
+        await setLeagueActiveRuleset(DEFAULT_RULESET_ID);
+        showToast('League is back on the official scoring rules.', 'success');
+      } else {
+        const id = await publishLeagueRuleset(name, overrides);
+        showToast(`Published ${name} (${id}).`, 'success');
+      }
+      // The sync loads the published ruleset; everyone else picks it up on their next poll
+      window.dispatchEvent(new CustomEvent('f1fantasy:forcesync'));
+    } catch (err) {
+      showToast('Failed to publish rules: ' + err.message, 'error');
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Publish';
+    }
+  });
+
+  on(HookEvents.SCORING_RULESET_CHANGED, ruleset => renderLeagueScoringForm(ruleset));
+}
+
+/**
+ * Rescore every member's played rounds with the draft rules and compare
+ * with the points they have now. Nothing is saved.
+ */
+async function renderLeagueScoringPreview(rules) {
+  const container = document.getElementById('admin-scoring-preview-body');
+  const users = await getAllUsers();
+  const weekends = buildRaceWeekends(loadCachedResults());
+  const draft = { id: 'preview', rules };
+
+  const draftScores = {};
+  weekends.forEach((weekend, i) => {
+    draftScores[weekend.round] = processRaceWeekend({
+      ...weekend, previousRounds: weekends.slice(0, i), ruleset: draft,
+    });
+  });
+
+  let skipped = 0;
+  const rows = users.filter(u => !u.isTestUser).map(user => {
+    let current = 0;
+    let preview = 0;
+    for (const [round, entry] of Object.entries(user.scoringHistory || {})) {
+      current += entry.total || 0;
+      // Older entries don't record their lineup, so they can't be rescored
+      if (entry.simulated || !entry.team || !draftScores[round]) {
+        preview += entry.total || 0;
+        skipped++;
+        continue;
+      }
+      const lineup = { ...entry.team, transfers: { penalty: entry.transferPenalty || 0 } };
+      preview += buildRoundEntry(lineup, draftScores[round], entry.boosts || {}).total;
+    }
+    return { name: user.displayName || 'Unknown', current, preview, delta: preview - current };
+  }).sort((a, b) => b.preview - a.preview);
+
+  if (rows.length === 0) {
+    container.innerHTML = '<p style="color:var(--text-muted);font-size:0.85rem">No members to preview.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="results-table scoring-preview">
+      <thead>
+        <tr><th>Member</th><th>Now</th><th>With these rules</th><th>Change</th></tr>
+      </thead>
+      <tbody>
+        ${rows.map(r => `
+          <tr>
+            <td><strong>${escapeHtml(r.name)}</strong></td>
+            <td style="text-align:center">${r.current}</td>
+            <td style="text-align:center"><strong>${r.preview}</strong></td>
+            <td style="text-align:center" class="${r.delta > 0 ? 'points-positive' : r.delta < 0 ? 'points-negative' : ''}">${r.delta > 0 ? '+' : ''}${r.delta}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${skipped > 0 ? `<p style="color:var(--text-muted);font-size:0.8rem;margin-top:0.5rem">${skipped} round entr${skipped === 1 ? 'y' : 'ies'} without a recorded lineup kept their current points.</p>` : ''}
+  `;
+}
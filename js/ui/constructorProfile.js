@@ -3,7 +3,8 @@
 // Triggered by clicking any element with data-constructor-profile="constructorId".
 
 import { CONSTRUCTORS, DRIVERS, TEAM_COLORS, getFlag } from '../config.js';
-import { loadScoringHistory, loadCachedResults, loadTestResults } from '../services/storage.js';
+import { loadScoringHistory, loadCachedResults, loadTestResults, loadWeekendScores } from '../services/storage.js';
+import { getDriverPrice, getConstructorPrice } from '../scoring/prices.js';
 
 function getDriverHeadshotUrl(driver) {
   const first3 = driver.firstName.slice(0, 3).toUpperCase();
@@ -137,7 +138,7 @@ export function openConstructorProfile(constructorId) {
         <div class="cp-driver__info">
           <strong class="cp-driver__name">${d.firstName} ${d.lastName}</strong>
           <span class="cp-driver__code">${d.code}</span>
-          <span class="cp-driver__price">$${d.price}M</span>
+          <span class="cp-driver__price">$${getDriverPrice(d.id)}M</span>
         </div>
       </div>
     `;
@@ -147,7 +148,7 @@ export function openConstructorProfile(constructorId) {
   let statsHtml = `
     <div class="dp-stat">
       <span class="dp-stat__label">Fantasy Price</span>
-      <span class="dp-stat__value dp-stat__value--green">$${constructor.price}M</span>
+      <span class="dp-stat__value dp-stat__value--green">$${getConstructorPrice(constructor.id)}M</span>
     </div>
     <div class="dp-stat">
       <span class="dp-stat__label">Fantasy Pts</span>
@@ -178,15 +179,19 @@ export function openConstructorProfile(constructorId) {
     `;
   }
 
-  // Qualifying bonus and pit stop pts from test results
-  const testResults = loadTestResults();
+  // Qualifying bonus and pit stop pts from weekend scores (simulated rounds win in test mode)
+  const weekendScores = { ...loadWeekendScores(), ...loadTestResults() };
   let totalQualiBons = 0;
   let totalPitPts = 0;
-  for (const ws of Object.values(testResults)) {
+  let fastestPit = null;
+  for (const ws of Object.values(weekendScores)) {
     const cScore = ws.constructorScores?.[constructorId];
     if (cScore) {
       totalQualiBons += cScore.qualifyingBonus || 0;
       totalPitPts += cScore.pitStopPoints || 0;
+      if (cScore.fastestPitStop && (fastestPit === null || cScore.fastestPitStop < fastestPit)) {
+        fastestPit = cScore.fastestPitStop;
+      }
     }
   }
   if (totalQualiBons !== 0 || totalPitPts !== 0) {
@@ -201,6 +206,29 @@ export function openConstructorProfile(constructorId) {
       </div>
     `;
   }
+  // Current both-cars-in-the-top-10 streaks from the latest scored weekend
+  const latestRound = Object.keys(weekendScores).sort((a, b) => Number(a) - Number(b)).pop();
+  const streaks = weekendScores[latestRound]?.constructorScores?.[constructorId]?.streaks;
+  if (streaks) {
+    statsHtml += `
+      <div class="dp-stat" title="Both cars in the top 10 — bonus every 3 races in a row">
+        <span class="dp-stat__label">Quali Top-10 Streak</span>
+        <span class="dp-stat__value">${streaks.qualifying}</span>
+      </div>
+      <div class="dp-stat" title="Both cars in the top 10 — bonus every 3 races in a row">
+        <span class="dp-stat__label">Race Top-10 Streak</span>
+        <span class="dp-stat__value">${streaks.finish}</span>
+      </div>
+    `;
+  }
+  if (fastestPit !== null) {
+    statsHtml += `
+      <div class="dp-stat">
+        <span class="dp-stat__label">Fastest Stop</span>
+        <span class="dp-stat__value">${fastestPit.toFixed(2)}s</span>
+      </div>
+    `;
+  }
 
   document.getElementById('constructor-profile-stats').innerHTML = statsHtml;
 
@@ -4,8 +4,11 @@
 
 import { DRIVERS, CONSTRUCTORS, TEAM_COLORS, RACE_CALENDAR, getFlag } from '../config.js';
 import { on, HookEvents, getLog } from '../services/hooks.js';
-import { getTeam } from '../models/team.js';
+import { getTeam, getTeamValue, getTeamValueHistory } from '../models/team.js';
 import { loadScoringHistory } from '../services/storage.js';
+import { getDriverPrice, getConstructorPrice } from '../scoring/prices.js';
+import { openScoreExplainer } from './scoreExplainer.js';
+import { loadRoundProjection, projectionHtml } from './views.js';
 
 let _lastSyncTime = null; // track last successful sync for activity footer
 
@@ -16,6 +19,7 @@ export function initDashboard() {
   renderDriverMarket();
   renderConstructorsList();
   renderPointsChart();
+  renderValueChart();
   renderHookLog();
   renderOnboardingBanner();
   setupForceSync();
@@ -23,20 +27,34 @@ export function initDashboard() {
   on(HookEvents.RACE_SCHEDULE_UPDATED, renderHeroNextRace);
   on(HookEvents.TEAM_UPDATED, () => {
     renderTeamSummary();
+    renderValueChart();
     renderHookLog();
     renderOnboardingBanner();
   });
   on(HookEvents.RACE_RESULTS_RECEIVED, () => renderStatsRow());
   on(HookEvents.FANTASY_SCORES_CALCULATED, () => renderStatsRow());
+  on(HookEvents.FANTASY_SCORES_UPDATED, () => {
+    renderStatsRow();
+    renderTeamSummary();
+    renderPointsChart();
+    renderValueChart();
+  });
   on(HookEvents.DATA_SYNC_START, () => updateSyncIndicator('syncing'));
   on(HookEvents.DATA_SYNC_COMPLETE, (data) => {
     _lastSyncTime = new Date();
     updateSyncIndicator(data.errors?.length > 0 ? 'error' : 'synced');
+    renderTeamSummary();
     renderPointsChart();
     renderStatsRow();
     renderHookLog();
   });
   on(HookEvents.DATA_SYNC_ERROR, () => updateSyncIndicator('error'));
+  on(HookEvents.PRICES_UPDATED, () => {
+    renderTeamSummary();
+    renderValueChart();
+    renderDriverMarket();
+    renderConstructorsList();
+  });
 
   // Log team events for activity feed
   for (const event of Object.values(HookEvents)) {
@@ -150,6 +168,9 @@ function renderTeamSummary() {
     return;
   }
 
+  const projections = loadRoundProjection();
+  const projected = [];
+
   let html = '';
   for (const driverId of team.drivers) {
     if (!driverId) continue;
@@ -162,9 +183,11 @@ function renderTeamSummary() {
         <span class="performer__color" style="background:${color}"></span>
         <span class="performer__name">${driver.firstName} ${driver.lastName}</span>
         <span class="performer__team">${constructor?.shortName || ''}</span>
-        <span class="performer__points">$${driver.price}M</span>
+        ${projectionHtml(projections.drivers[driver.id], 'performer__proj')}
+        <span class="performer__points">$${getDriverPrice(driver.id)}M</span>
       </div>
     `;
+    projected.push(projections.drivers[driver.id]);
   }
 
   const constructors = team.constructors || (team.constructor ? [team.constructor] : []);
@@ -177,19 +200,31 @@ function renderTeamSummary() {
           <span class="performer__color" style="background:${c.color}"></span>
           <span class="performer__name">${c.shortName}</span>
           <span class="performer__team">Constructor</span>
-          <span class="performer__points">$${c.price}M</span>
+          ${projectionHtml(projections.constructors[c.id], 'performer__proj')}
+          <span class="performer__points">$${getConstructorPrice(c.id)}M</span>
         </div>
       `;
+      projected.push(projections.constructors[c.id]);
     }
   }
 
+  // Adding up each pick's range gives a deliberately cautious team range
+  const sum = key => Math.round(projected.reduce((total, p) => total + (p?.[key] || 0), 0) * 10) / 10;
+  html += `
+    <div class="team-projection">
+      <span>Projected next race</span>
+      <strong>~${sum('expected')} pts</strong>
+      <span class="team-projection__range">${sum('low')} to ${sum('high')}</span>
+    </div>
+  `;
+
   container.innerHTML = html;
 }
 
 // ===== Driver Market =====
 function renderDriverMarket() {
   const container = document.getElementById('driver-market');
-  const sorted = [...DRIVERS].sort((a, b) => b.price - a.price);
+  const sorted = [...DRIVERS].sort((a, b) => getDriverPrice(b.id) - getDriverPrice(a.id));
 
   container.innerHTML = sorted.map(d => {
     const color = TEAM_COLORS[d.team] || '#555';
@@ -200,7 +235,7 @@ function renderDriverMarket() {
         <div class="driver-card__name">${d.lastName}</div>
         <div class="driver-card__team">${constructor?.shortName || d.team}</div>
         <div class="driver-card__meta">
-          <span class="driver-card__price">$${d.price}M</span>
+          <span class="driver-card__price">$${getDriverPrice(d.id)}M</span>
           <span class="driver-card__code">${d.code}</span>
         </div>
       </div>
@@ -222,7 +257,7 @@ function renderConstructorsList() {
       <div class="constructor-row" data-constructor-profile="${c.id}" role="button" tabindex="0" aria-label="View ${c.name} profile" style="--constructor-color:${c.color}">
         <span class="constructor-row__name">${c.shortName}</span>
         <span class="constructor-row__drivers">${driverNames}</span>
-        <span class="constructor-row__price">$${c.price}M</span>
+        <span class="constructor-row__price">$${getConstructorPrice(c.id)}M</span>
       </div>
     `;
   }).join('');
@@ -383,12 +418,106 @@ function drawEmptyChart(ctx, w, h, pad, plotW, plotH) {
   ctx.setLineDash([]);
 }
 
+// ===== Team Value Chart =====
+// Value (assets at that round's prices plus bank) after each scored round,
+// ending with today's value.
+
+export function renderValueChart() {
+  const canvas = document.getElementById('value-chart');
+  if (!canvas) return;
+
+  const now = getTeamValue();
+  const history = getTeamValueHistory();
+  const rounds = Object.keys(history).sort((a, b) => a - b);
+
+  document.getElementById('team-value-badge').textContent = `$${now.total.toFixed(1)}M`;
+  const profit = now.profit > 0 ? `+${now.profit.toFixed(1)}` : now.profit.toFixed(1);
+  document.getElementById('team-value-stats').innerHTML = `
+    <span>Assets <strong>$${now.assets.toFixed(1)}M</strong></span>
+    <span>Bank <strong>$${now.bank.toFixed(1)}M</strong></span>
+    <span>Price changes <strong class="${now.profit >= 0 ? 'points-positive' : 'points-negative'}">${profit}M</strong></span>
+  `;
+
+  const ctx = canvas.getContext('2d');
+  const rect = canvas.parentElement.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  const w = rect.width;
+  const h = 160;
+  canvas.width = w * dpr;
+  canvas.height = h * dpr;
+  canvas.style.width = w + 'px';
+  canvas.style.height = h + 'px';
+  ctx.scale(dpr, dpr);
+
+  const pad = { top: 16, right: 20, bottom: 26, left: 50 };
+  const plotW = w - pad.left - pad.right;
+  const plotH = h - pad.top - pad.bottom;
+
+  ctx.fillStyle = '#252a3a';
+  ctx.fillRect(0, 0, w, h);
+
+  if (rounds.length === 0) {
+    ctx.fillStyle = '#8b90a8';
+    ctx.font = '12px Inter, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('Value history starts after your first scored round', w / 2, h / 2);
+    return;
+  }
+
+  const labels = [...rounds.map(r => `R${r}`), 'Now'];
+  const values = [...rounds.map(r => history[r].total), now.total];
+  const min = Math.floor(Math.min(...values) - 1);
+  const max = Math.ceil(Math.max(...values) + 1);
+  const xAt = i => pad.left + (plotW / (values.length - 1 || 1)) * i;
+  const yAt = v => pad.top + plotH - ((v - min) / (max - min)) * plotH;
+
+  ctx.strokeStyle = '#2e3450';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#8b90a8';
+  ctx.font = '11px Inter, sans-serif';
+  ctx.textAlign = 'right';
+  for (let i = 0; i <= 3; i++) {
+    const y = pad.top + (plotH / 3) * i;
+    ctx.beginPath();
+    ctx.moveTo(pad.left, y);
+    ctx.lineTo(w - pad.right, y);
+    ctx.stroke();
+    ctx.fillText(`$${(max - ((max - min) / 3) * i).toFixed(1)}`, pad.left - 8, y + 4);
+  }
+
+  ctx.strokeStyle = '#00d27a';
+  ctx.lineWidth = 2.5;
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  values.forEach((v, i) => {
+    if (i === 0) ctx.moveTo(xAt(i), yAt(v));
+    else ctx.lineTo(xAt(i), yAt(v));
+  });
+  ctx.stroke();
+
+  ctx.fillStyle = '#00d27a';
+  values.forEach((v, i) => {
+    ctx.beginPath();
+    ctx.arc(xAt(i), yAt(v), 3.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  ctx.fillStyle = '#8b90a8';
+  ctx.font = '10px Inter, sans-serif';
+  ctx.textAlign = 'center';
+  labels.forEach((label, i) => ctx.fillText(label, xAt(i), h - 8));
+}
+
 // ===== Chart Hover Tooltips (P2.1) =====
 
 function setupChartHover(canvas) {
   removeChartListeners(canvas);
 
   canvas._hoverListener = (e) => handleChartHover(e, canvas);
+  canvas._clickListener = (e) => {
+    const nearest = findNearestPoint(e, canvas);
+    if (nearest) openScoreExplainer(Number(nearest.round));
+  };
   canvas._leaveListener = () => {
     if (!_chartState) return;
     const { ctx, w, h, pad, points, rounds, maxPts, plotW, plotH } = _chartState;
@@ -397,23 +526,25 @@ function setupChartHover(canvas) {
 
   canvas.addEventListener('mousemove', canvas._hoverListener);
   canvas.addEventListener('mouseleave', canvas._leaveListener);
+  canvas.addEventListener('click', canvas._clickListener);
 }
 
 function removeChartListeners(canvas) {
   if (canvas._hoverListener) canvas.removeEventListener('mousemove', canvas._hoverListener);
   if (canvas._leaveListener) canvas.removeEventListener('mouseleave', canvas._leaveListener);
+  if (canvas._clickListener) canvas.removeEventListener('click', canvas._clickListener);
+  canvas.style.cursor = '';
 }
 
-function handleChartHover(e, canvas) {
-  if (!_chartState) return;
-  const { ctx, w, h, pad, points, rounds, maxPts, plotW, plotH } = _chartState;
-  if (!points.length) return;
+// Nearest data point within 20px of the mouse, or null
+function findNearestPoint(e, canvas) {
+  if (!_chartState) return null;
+  const { pad, points, rounds, maxPts, plotW, plotH } = _chartState;
 
   const rect = canvas.getBoundingClientRect();
   const mouseX = e.clientX - rect.left;
   const mouseY = e.clientY - rect.top;
 
-  // Find nearest data point within 20px
   let nearest = null;
   let minDist = Infinity;
   for (let i = 0; i < points.length; i++) {
@@ -422,9 +553,19 @@ function handleChartHover(e, canvas) {
     const dist = Math.sqrt((mouseX - x) ** 2 + (mouseY - y) ** 2);
     if (dist < 20 && dist < minDist) {
       minDist = dist;
-      nearest = { x, y, round: rounds[i], pts: points[i] };
+      nearest = { x, y, round: rounds[i], pts: points[i], roundPts: points[i] - (points[i - 1] || 0) };
     }
   }
+  return nearest;
+}
+
+function handleChartHover(e, canvas) {
+  if (!_chartState) return;
+  const { ctx, w, h, pad, points, rounds, maxPts, plotW, plotH } = _chartState;
+  if (!points.length) return;
+
+  const nearest = findNearestPoint(e, canvas);
+  canvas.style.cursor = nearest ? 'pointer' : '';
 
   // Redraw base chart
   drawChartBase(ctx, w, h, pad, points, rounds, maxPts, plotW, plotH);
@@ -444,15 +585,16 @@ function handleChartHover(e, canvas) {
   const race = RACE_CALENDAR.find(r => r.round === parseInt(nearest.round));
   const raceName = race?.name || `Round ${nearest.round}`;
   const line1 = `Round ${nearest.round}: ${raceName}`;
-  const line2 = `${nearest.pts} pts cumulative`;
+  const line2 = `${nearest.roundPts > 0 ? '+' : ''}${nearest.roundPts} pts · ${nearest.pts} cumulative`;
+  const line3 = 'Click for the breakdown';
 
   ctx.save();
   ctx.font = 'bold 11px Inter, sans-serif';
   const l1w = ctx.measureText(line1).width;
   ctx.font = '10px Inter, sans-serif';
-  const l2w = ctx.measureText(line2).width;
+  const l2w = Math.max(ctx.measureText(line2).width, ctx.measureText(line3).width);
   const tipW = Math.max(l1w, l2w) + 24;
-  const tipH = 46;
+  const tipH = 60;
 
   let tx = nearest.x + 14;
   if (tx + tipW > w - 8) tx = nearest.x - tipW - 14;
@@ -477,6 +619,9 @@ function handleChartHover(e, canvas) {
   ctx.fillStyle = '#e10600';
   ctx.font = '10px Inter, sans-serif';
   ctx.fillText(line2, tx + 12, ty + 33);
+
+  ctx.fillStyle = '#8b90a8';
+  ctx.fillText(line3, tx + 12, ty + 48);
   ctx.restore();
 }
 
@@ -490,6 +635,7 @@ const TEAM_EVENT_LABELS = {
   'team:budget:changed': { label: 'Budget recalculated', cls: '' },
   'team:boost:activated': { label: 'Boost chip activated', cls: 'activity-log__msg--boost' },
   'team:transfer:made': { label: 'Transfer completed', cls: 'activity-log__msg--team' },
+  'team:lock:changed': { label: 'Team lock updated', cls: '' },
 };
 
 function renderHookLog() {
@@ -3,7 +3,9 @@
 // Triggered by clicking any element with data-driver-profile="driverId".
 
 import { DRIVERS, CONSTRUCTORS, TEAM_COLORS, getFlag } from '../config.js';
-import { loadScoringHistory, loadCachedResults, loadTestResults } from '../services/storage.js';
+import { loadScoringHistory, loadCachedResults, loadTestResults, loadWeekendScores } from '../services/storage.js';
+import { getDriverPrice } from '../scoring/prices.js';
+import { loadRoundProjection } from './views.js';
 
 /**
  * Build the F1 media CDN headshot URL for a driver.
@@ -132,7 +134,7 @@ export function openDriverProfile(driverId) {
     </div>
     <div class="dp-stat">
       <span class="dp-stat__label">Fantasy Price</span>
-      <span class="dp-stat__value dp-stat__value--green">$${driver.price}M</span>
+      <span class="dp-stat__value dp-stat__value--green">$${getDriverPrice(driver.id)}M</span>
     </div>
     <div class="dp-stat">
       <span class="dp-stat__label">Fantasy Pts</span>
@@ -159,6 +161,61 @@ export function openDriverProfile(driverId) {
     `;
   }
 
+  const projection = loadRoundProjection().drivers[driverId];
+  if (projection) {
+    statsHtml += `
+      <div class="dp-stat" title="Likely range ${projection.low} to ${projection.high} pts, ${Math.round(projection.dnfRate * 100)}% DNF risk">
+        <span class="dp-stat__label">Projected Next Race</span>
+        <span class="dp-stat__value">~${projection.expected} <small>(${projection.low} to ${projection.high})</small></span>
+      </div>
+    `;
+  }
+
+  // Current top-10 streaks from the latest scored weekend (simulated rounds win in test mode)
+  const weekendScores = { ...loadWeekendScores(), ...testResults };
+  const latestRound = Object.keys(weekendScores).sort((a, b) => Number(a) - Number(b)).pop();
+  const streaks = weekendScores[latestRound]?.driverScores?.[driverId]?.streaks;
+  if (streaks) {
+    statsHtml += `
+      <div class="dp-stat" title="Bonus every 5 races in a row">
+        <span class="dp-stat__label">Quali Top-10 Streak</span>
+        <span class="dp-stat__value">${streaks.qualifying}</span>
+      </div>
+      <div class="dp-stat" title="Bonus every 5 races in a row">
+        <span class="dp-stat__label">Race Top-10 Streak</span>
+        <span class="dp-stat__value">${streaks.finish}</span>
+      </div>
+    `;
+  }
+
+  // Season-long head-to-head against whoever partnered them each weekend
+  const record = { qualiWon: 0, qualiLost: 0, raceWon: 0, raceLost: 0 };
+  const teammates = new Set();
+  for (const ws of Object.values(weekendScores)) {
+    const battle = ws.driverScores?.[driverId]?.teammate;
+    if (!battle) continue;
+    teammates.add(battle.teammateId);
+    if (battle.qualifying === true) record.qualiWon++;
+    if (battle.qualifying === false) record.qualiLost++;
+    if (battle.race === true) record.raceWon++;
+    if (battle.race === false) record.raceLost++;
+  }
+  if (teammates.size > 0) {
+    const names = [...teammates]
+      .map(id => DRIVERS.find(d => d.id === id)?.lastName || id)
+      .join(', ');
+    statsHtml += `
+      <div class="dp-stat" title="Qualifying head-to-head vs ${names}">
+        <span class="dp-stat__label">Quali vs Teammate</span>
+        <span class="dp-stat__value">${record.qualiWon}–${record.qualiLost}</span>
+      </div>
+      <div class="dp-stat" title="Race head-to-head vs ${names}">
+        <span class="dp-stat__label">Race vs Teammate</span>
+        <span class="dp-stat__value">${record.raceWon}–${record.raceLost}</span>
+      </div>
+    `;
+  }
+
   if (standing) {
     statsHtml += `
       <div class="dp-stat">
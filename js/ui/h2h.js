@@ -32,6 +32,41 @@ export function initH2H() {
   on(HookEvents.H2H_SCHEDULE_UPDATED, () => renderH2H());
 }
 
+// ===== Opponent Lookup =====
+
+/**
+ * The signed-in user's H2H opponent for a round, with their team and boosts.
+ * Once the round has locked this is the lineup that counted (their snapshot);
+ * before the lock it is their current team.
+ * @returns {Promise<object|null>} null for guests, byes and when offline
+ */
+export async function loadH2HOpponent(round) {
+  const uid = getCurrentUser()?.uid;
+  if (!uid) return null;
+  try {
+    const h2h = await loadH2HSchedule();
+    const matchup = getMatchupForUser(h2h?.schedule || [], uid, round);
+    const opponentUid = matchup && (matchup.home === uid ? matchup.away : matchup.home);
+    if (!opponentUid) return null;
+
+    const user = (await getAllUsers()).find(u => u.id === opponentUid);
+    if (!user?.team) return null;
+    const name = user.team.teamName || user.displayName || 'Opponent';
+    const locked = user.snapshots?.[round];
+    if (locked) {
+      return {
+        name,
+        team: { drivers: [...locked.drivers], constructors: [...locked.constructors] },
+        boosts: locked.boosts || {},
+      };
+    }
+    return { name, team: user.team, boosts: user.boosts || {} };
+  } catch (err) {
+    console.warn('[H2H] Could not load opponent:', err.message);
+    return null;
+  }
+}
+
 // ===== Main Render =====
 
 export async function renderH2H() {
@@ -4,6 +4,7 @@
 import { getAllUsers, getCurrentUser } from '../services/auth.js';
 import { loadScoringHistory } from '../services/storage.js';
 import { DRIVERS, CONSTRUCTORS, TEAM_COLORS } from '../config.js';
+import { calculateTeamValue } from '../models/team.js';
 
 export function initLeaderboard() {
   const refreshBtn = document.getElementById('leaderboard-refresh');
@@ -17,7 +18,7 @@ export async function renderLeaderboard() {
   const container = document.getElementById('leaderboard-body');
   if (!container) return;
 
-  container.innerHTML = '<tr><td colspan="6" style="text-align:center;padding:2rem;color:var(--text-muted)">Loading league standings...</td></tr>';
+  container.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:2rem;color:var(--text-muted)">Loading league standings...</td></tr>';
 
   try {
     const users = await getAllUsers();
@@ -54,7 +55,7 @@ export async function renderLeaderboard() {
         racesScored,
         driverCount,
         constructorCount,
-        teamValue: calculateTeamValue(team),
+        teamValue: calculateTeamValue(team).total,
       };
     });
 
@@ -64,7 +65,7 @@ export async function renderLeaderboard() {
     if (ranked.length === 0) {
       container.innerHTML = `
         <tr>
-          <td colspan="6">
+          <td colspan="7">
             <div class="empty-state">
               <div class="empty-state__icon">&#127942;</div>
               <div class="empty-state__title">No league members yet</div>
@@ -121,29 +122,13 @@ export async function renderLeaderboard() {
           <td class="leaderboard-team-cell">${teamDisplay}</td>
           <td style="text-align:center">${user.driverCount}/5 + ${user.constructorCount}/2</td>
           <td style="text-align:center">${user.racesScored}</td>
+          <td style="text-align:center">$${user.teamValue.toFixed(1)}M</td>
           <td><strong class="points-positive">${user.totalPoints}</strong></td>
         </tr>
       `;
     }).join('');
   } catch (err) {
     console.error('[Leaderboard] Failed to load:', err);
-    container.innerHTML = '<tr><td colspan="6" style="text-align:center;padding:2rem;color:var(--accent-red)">Failed to load leaderboard. Please try again.</td></tr>';
+    container.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:2rem;color:var(--accent-red)">Failed to load leaderboard. Please try again.</td></tr>';
   }
 }
-
-function calculateTeamValue(team) {
-  if (!team) return 0;
-  let value = 0;
-  for (const id of (team.drivers || [])) {
-    if (!id) continue;
-    const d = DRIVERS.find(d => d.id === id);
-    if (d) value += d.price;
-  }
-  const constructors = team.constructors || (team.constructor ? [team.constructor] : []);
-  for (const cId of constructors) {
-    if (!cId) continue;
-    const c = CONSTRUCTORS.find(c => c.id === cId);
-    if (c) value += c.price;
-  }
-  return value;
-}
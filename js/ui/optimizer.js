@@ -0,0 +1,407 @@
+// Team Optimizer Panel
+// Opened from My Team: shows the best lineup under budget for the chosen
+// projection source and the best one- or two-transfer moves from the current
+// team. Picks the user pins stay in both. The candidates can then be run
+// through a Monte Carlo simulation of the next weekend, against the H2H
+// opponent when there is one.
+
+import { DRIVERS, CONSTRUCTORS, TEAM_COLORS } from '../config.js';
+import { on, HookEvents } from '../services/hooks.js';
+import {
+  getTeam, getBoosts, getTeamValue, getTransferStatus, addDriver, removeDriver, setConstructor, removeConstructor,
+} from '../models/team.js';
+import { getDriverPrice, getConstructorPrice } from '../scoring/prices.js';
+import {
+  PROJECTION_SOURCES, projectPoints, optimizeTeam, suggestTransfers,
+} from '../scoring/optimizer.js';
+import { getActiveRuleset } from '../scoring/rulesets.js';
+import { runMonteCarlo, DEFAULT_ITERATIONS } from '../services/monte-carlo.js';
+import { showToast } from './toast.js';
+import { loadProjectionContext } from './views.js';
+import { loadH2HOpponent } from './h2h.js';
+
+const pinned = new Set();
+let sourceId = 'season-average';
+let candidates = [];
+let simulation = null; // { status: 'running' | 'done' | 'error', labels, result, error }
+let opponent = null; // { name, team, boosts } for the next round; undefined while loading
+
+export function initOptimizer() {
+  const modal = document.getElementById('optimizer-modal');
+  if (!modal) return;
+
+  const select = document.getElementById('optimizer-source');
+  select.innerHTML = Object.entries(PROJECTION_SOURCES)
+    .map(([id, source]) => `<option value="${id}">${source.name}</option>`).join('');
+  select.value = sourceId;
+  select.addEventListener('change', () => {
+    sourceId = select.value;
+    simulation = null;
+    renderOptimizer();
+  });
+
+  document.getElementById('btn-open-optimizer')?.addEventListener('click', openOptimizer);
+  document.getElementById('optimizer-close').addEventListener('click', closeOptimizer);
+  modal.querySelector('.boost-target__backdrop').addEventListener('click', closeOptimizer);
+
+  on(HookEvents.TEAM_UPDATED, () => {
+    simulation = null;
+    if (!modal.hidden) renderOptimizer();
+  });
+}
+
+export function openOptimizer() {
+  const modal = document.getElementById('optimizer-modal');
+  simulation = null;
+  opponent = undefined;
+  renderOptimizer();
+  modal.removeAttribute('hidden');
+  modal.style.display = 'flex';
+  document.getElementById('optimizer-source').focus();
+
+  loadH2HOpponent(loadProjectionContext().round).then((found) => {
+    opponent = found;
+    if (!modal.hidden) renderOptimizer();
+  });
+}
+
+export function closeOptimizer() {
+  const modal = document.getElementById('optimizer-modal');
+  if (modal) {
+    modal.setAttribute('hidden', '');
+    modal.style.display = 'none';
+  }
+}
+
+// ===== Projections =====
+
+function loadProjection() {
+  const context = loadProjectionContext();
+  let hasData = context.weekendScores.length > 0;
+  if (sourceId === 'qualifying') hasData = context.qualifying !== null;
+  // The model starts from prices, so it always has something to go on
+  if (sourceId === 'model') hasData = true;
+  return { projection: projectPoints(sourceId, context), hasData };
+}
+
+// ===== Rendering =====
+
+function assetName(type, id) {
+  if (type === 'driver') {
+    const driver = DRIVERS.find(d => d.id === id);
+    return driver ? `${driver.firstName} ${driver.lastName}` : id;
+  }
+  return CONSTRUCTORS.find(c => c.id === id)?.name || id;
+}
+
+function assetColor(type, id) {
+  const team = type === 'driver' ? DRIVERS.find(d => d.id === id)?.team : id;
+  return TEAM_COLORS[team] || 'var(--border-color)';
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
+
+function formatPts(points) {
+  return `${Math.round(points * 10) / 10} pts`;
+}
+
+function renderPins(team, projection) {
+  const picks = [
+    ...team.drivers.filter(Boolean).map(id => ({ type: 'driver', id })),
+    ...team.constructors.filter(Boolean).map(id => ({ type: 'constructor', id })),
+  ];
+  // Forget pins for picks that have since left the team
+  for (const id of [...pinned]) {
+    if (!picks.some(p => p.id === id)) pinned.delete(id);
+  }
+  if (picks.length === 0) return '<div class="rp-no-data">Pick drivers on My Team to pin them here.</div>';
+
+  return picks.map(({ type, id }) => {
+    const points = projection[type === 'driver' ? 'drivers' : 'constructors'][id] || 0;
+    return `
+      <label class="optimizer-pin">
+        <input type="checkbox" data-pin="${id}" ${pinned.has(id) ? 'checked' : ''}>
+        <span class="picker-item__color" style="background:${assetColor(type, id)}"></span>
+        <span class="optimizer-pin__name">${assetName(type, id)}</span>
+        <span class="optimizer-pin__pts">${formatPts(points)}</span>
+      </label>
+    `;
+  }).join('');
+}
+
+function renderLineup(lineup, projection) {
+  if (!lineup) return '<div class="rp-no-data">No lineup fits the budget with these pins.</div>';
+
+  const rows = [
+    ...lineup.drivers.map(id => ['driver', id, getDriverPrice(id), projection.drivers[id] || 0]),
+    ...lineup.constructors.map(id => ['constructor', id, getConstructorPrice(id), projection.constructors[id] || 0]),
+  ];
+  return `
+    ${rows.map(([type, id, price, points]) => `
+      <div class="optimizer-row">
+        <span class="picker-item__color" style="background:${assetColor(type, id)}"></span>
+        <span class="optimizer-row__name">${assetName(type, id)}${pinned.has(id) ? ' <span class="optimizer-row__pin">pinned</span>' : ''}</span>
+        <span class="optimizer-row__price">$${price.toFixed(1)}M</span>
+        <span class="optimizer-row__pts">${formatPts(points)}</span>
+      </div>
+    `).join('')}
+    <div class="optimizer-total">
+      <span>$${lineup.cost.toFixed(1)}M</span>
+      <strong>${formatPts(lineup.points)}</strong>
+    </div>
+    <button type="button" class="btn btn--primary btn--sm" id="optimizer-apply-lineup">Use this lineup</button>
+  `;
+}
+
+function renderMoves(moves) {
+  if (moves.length === 0) {
+    return '<div class="rp-no-data">No transfer beats your current team after penalties.</div>';
+  }
+  return moves.map((move, i) => `
+    <div class="optimizer-move">
+      <div class="optimizer-move__swaps">
+        ${move.transfers.map(t => `
+          <div>${assetName(t.type, t.out)} &rarr; <strong>${assetName(t.type, t.in)}</strong></div>
+        `).join('')}
+      </div>
+      <div class="optimizer-move__pts" title="${formatPts(move.gain)} projected${move.penalty ? `, ${move.penalty} pts transfer penalty` : ''}">
+        +${Math.round(move.net * 10) / 10}
+        ${move.penalty ? `<span class="meta-penalty">${move.penalty}</span>` : ''}
+      </div>
+      <button type="button" class="btn btn--sm" data-move="${i}">Apply</button>
+    </div>
+  `).join('');
+}
+
+function renderOptimizer() {
+  const body = document.getElementById('optimizer-body');
+  if (!body) return;
+
+  const team = getTeam();
+  const { projection, hasData } = loadProjection();
+  const pinnedDrivers = team.drivers.filter(id => id && pinned.has(id));
+  const pinnedConstructors = team.constructors.filter(id => id && pinned.has(id));
+
+  const lineup = optimizeTeam(projection, {
+    budget: getTeamValue().total,
+    pinnedDrivers,
+    pinnedConstructors,
+  });
+
+  const transfers = getTransferStatus();
+  const isComplete = team.drivers.every(Boolean) && team.constructors.every(Boolean);
+  const moves = isComplete
+    ? suggestTransfers(team, projection, {
+      pinned: [...pinned],
+      freeTransfers: transfers.waived ? Infinity : Math.max(0, transfers.free - transfers.made),
+    })
+    : [];
+  candidates = buildCandidates(team, isComplete, lineup, moves);
+
+  body.innerHTML = `
+    ${hasData ? '' : `<p class="explainer-note">No ${sourceId === 'qualifying' ? 'qualifying results' : 'scored rounds'} yet, so every projection is 0.</p>`}
+    <h3 class="rp-section-title">Pin picks</h3>
+    <div class="optimizer-pins">${renderPins(team, projection)}</div>
+    <h3 class="rp-section-title">Best lineup</h3>
+    ${renderLineup(lineup, projection)}
+    <h3 class="rp-section-title">Best transfers</h3>
+    ${isComplete ? renderMoves(moves) : '<div class="rp-no-data">Fill every slot to get transfer suggestions.</div>'}
+    <h3 class="rp-section-title">Simulate the weekend</h3>
+    ${renderSimulation()}
+  `;
+
+  body.querySelectorAll('[data-pin]').forEach(input => {
+    input.addEventListener('change', () => {
+      if (input.checked) pinned.add(input.dataset.pin);
+      else pinned.delete(input.dataset.pin);
+      simulation = null;
+      renderOptimizer();
+    });
+  });
+  document.getElementById('optimizer-simulate')?.addEventListener('click', runSimulation);
+  document.getElementById('optimizer-apply-lineup')?.addEventListener('click', () => applyLineup(lineup));
+  body.querySelectorAll('[data-move]').forEach(btn => {
+    btn.addEventListener('click', () => applyMove(moves[Number(btn.dataset.move)]));
+  });
+}
+
+// ===== Simulation =====
+
+const SIMULATED_MOVES = 2;
+
+function sameLineup(a, b) {
+  return a.drivers.every(id => b.drivers.includes(id)) && a.constructors.every(id => b.constructors.includes(id));
+}
+
+function applyTransfers(team, transfers) {
+  const next = { drivers: [...team.drivers], constructors: [...team.constructors] };
+  for (const t of transfers) {
+    const slots = t.type === 'driver' ? next.drivers : next.constructors;
+    slots[slots.indexOf(t.out)] = t.in;
+  }
+  return next;
+}
+
+// The lineups worth simulating: the current team, the best lineup and the top
+// transfer moves (net of their penalty)
+function buildCandidates(team, isComplete, lineup, moves) {
+  const boosts = getBoosts();
+  const list = [];
+  if (isComplete) list.push({ label: 'My team', team, boosts });
+  if (lineup && !(isComplete && sameLineup(lineup, team))) {
+    list.push({ label: 'Best lineup', team: { drivers: lineup.drivers, constructors: lineup.constructors }, boosts });
+  }
+  if (isComplete) {
+    moves.slice(0, SIMULATED_MOVES).forEach((move) => {
+      list.push({
+        label: move.transfers.map(t => `${assetName(t.type, t.out)} → ${assetName(t.type, t.in)}`).join(', '),
+        team: applyTransfers(team, move.transfers),
+        boosts,
+        adjustment: -move.penalty,
+      });
+    });
+  }
+  return list;
+}
+
+function formatPercent(probability) {
+  return `${Math.round(probability * 100)}%`;
+}
+
+function renderSimulationResult() {
+  if (!simulation) return '';
+  if (simulation.status === 'running') {
+    return `<div class="rp-no-data">Simulating ${DEFAULT_ITERATIONS.toLocaleString()} weekends...</div>`;
+  }
+  if (simulation.status === 'error') {
+    return `<div class="rp-no-data">Simulation failed: ${escapeHtml(simulation.error)}</div>`;
+  }
+
+  const { result, labels, opponentIndex } = simulation;
+  const hasOpponent = opponentIndex !== null;
+  const bestMean = Math.max(...result.entries.map((e, i) => (i === opponentIndex ? -Infinity : e.mean)));
+  return `
+    <div class="optimizer-sim__table">
+      <div class="optimizer-sim__row optimizer-sim__row--head">
+        <span>Lineup</span><span>Expected</span><span>10th–90th</span>${hasOpponent ? '<span>Win</span>' : ''}
+      </div>
+      ${result.entries.map((entry, i) => `
+        <div class="optimizer-sim__row ${i === opponentIndex ? 'optimizer-sim__row--opponent' : ''} ${entry.mean === bestMean ? 'optimizer-sim__row--best' : ''}">
+          <span class="optimizer-sim__label">${escapeHtml(labels[i])}</span>
+          <span>${entry.mean}</span>
+          <span>${entry.percentiles.p10}–${entry.percentiles.p90}</span>
+          ${hasOpponent ? `<span>${entry.winProbability === null ? '' : formatPercent(entry.winProbability)}</span>` : ''}
+        </div>
+      `).join('')}
+    </div>
+    <p class="explainer-note">
+      ${result.iterations.toLocaleString()} random weekends for round ${result.round}, seed <code>${result.seed}</code>.
+      Transfer moves include their penalty.
+    </p>
+  `;
+}
+
+function renderSimulation() {
+  if (candidates.length === 0) {
+    return '<div class="rp-no-data">Fill every slot to simulate your team.</div>';
+  }
+  const against = opponent
+    ? `against ${escapeHtml(opponent.name)}`
+    : opponent === undefined ? '(loading your H2H opponent...)' : '(no H2H opponent this round)';
+  return `
+    <div class="optimizer-sim__controls">
+      <button type="button" class="btn btn--sm" id="optimizer-simulate" ${simulation?.status === 'running' ? 'disabled' : ''}>
+        Simulate ${candidates.length === 1 ? 'my team' : `${candidates.length} lineups`}
+      </button>
+      <span class="optimizer-sim__against">${against}</span>
+      <label class="optimizer-sim__seed">
+        Seed <input type="text" id="optimizer-seed" placeholder="random" value="${(simulation?.seedInput || '').replace(/"/g, '&quot;')}" size="10">
+      </label>
+    </div>
+    ${renderSimulationResult()}
+  `;
+}
+
+async function runSimulation() {
+  const seedInput = document.getElementById('optimizer-seed')?.value.trim() || '';
+  const entries = candidates.map(({ team, boosts, adjustment }) => ({ team, boosts, adjustment }));
+  const labels = candidates.map(c => c.label);
+  const opponentIndex = opponent ? entries.length : null;
+  if (opponent) {
+    entries.push({ team: opponent.team, boosts: opponent.boosts });
+    labels.push(opponent.name);
+  }
+
+  const run = { status: 'running', labels, opponentIndex, seedInput };
+  simulation = run;
+  renderOptimizer();
+
+  try {
+    const result = await runMonteCarlo({
+      entries,
+      round: loadProjectionContext().round,
+      ruleset: getActiveRuleset(),
+      opponentIndex,
+      ...(seedInput ? { seed: seedInput } : {}),
+    });
+    // A team or pin change while running makes the result stale
+    if (simulation !== run) return;
+    simulation = { ...run, status: 'done', result };
+  } catch (err) {
+    if (simulation !== run) return;
+    simulation = { ...run, status: 'error', error: err.message };
+  }
+  renderOptimizer();
+}
+
+// ===== Applying =====
+
+// Swaps that free up money go first so the budget check passes at every step
+function applyMove(move) {
+  const price = (type, id) => (type === 'driver' ? getDriverPrice(id) : getConstructorPrice(id));
+  const ordered = [...move.transfers]
+    .sort((a, b) => (price(a.type, a.in) - price(a.type, a.out)) - (price(b.type, b.in) - price(b.type, b.out)));
+
+  for (const t of ordered) {
+    const team = getTeam();
+    const result = t.type === 'driver'
+      ? addDriver(t.in, team.drivers.indexOf(t.out))
+      : setConstructor(t.in, team.constructors.indexOf(t.out));
+    if (!result.success) {
+      showToast(result.error, 'error');
+      return;
+    }
+  }
+  showToast(`Made ${move.transfers.length} transfer${move.transfers.length > 1 ? 's' : ''}`, 'success');
+}
+
+// Sell everything leaving the team first, then fill the empty slots
+function applyLineup(lineup) {
+  if (!lineup) return;
+  const team = getTeam();
+
+  const steps = [
+    ...team.drivers.map((id, slot) => (id && !lineup.drivers.includes(id) ? () => removeDriver(slot) : null)),
+    ...team.constructors.map((id, slot) => (id && !lineup.constructors.includes(id) ? () => removeConstructor(slot) : null)),
+  ].filter(Boolean);
+
+  const incomingDrivers = lineup.drivers.filter(id => !team.drivers.includes(id));
+  const incomingConstructors = lineup.constructors.filter(id => !team.constructors.includes(id));
+  steps.push(
+    ...incomingDrivers.map(id => () => addDriver(id, getTeam().drivers.indexOf(null))),
+    ...incomingConstructors.map(id => () => setConstructor(id, getTeam().constructors.indexOf(null))),
+  );
+
+  for (const step of steps) {
+    const result = step();
+    if (!result.success) {
+      showToast(result.error, 'error');
+      return;
+    }
+  }
+  if (steps.length > 0) showToast('Lineup updated', 'success');
+}
@@ -3,7 +3,7 @@
 // Triggered by clicking any element with data-race-profile="round".
 
 import { RACE_CALENDAR, DRIVERS, CONSTRUCTORS, TEAM_COLORS, getFlag } from '../config.js';
-import { loadCachedResults, loadTestResults } from '../services/storage.js';
+import { loadCachedResults, loadTestResults, loadWeekendScores, loadScoringHistory } from '../services/storage.js';
 
 export function initRaceProfile() {
   const modal = document.getElementById('race-profile-modal');
@@ -89,8 +89,9 @@ function _renderRaceResults(race) {
   const qualData = (cached.qualifying || []).find(r => Number(r.round) === race.round);
   const sprintData = (cached.sprintResults || []).find(r => Number(r.round) === race.round);
 
-  // Fantasy scores for this round
-  const fantasyRound = testResults[race.round];
+  // Fantasy scores for this round (simulated rounds win in test mode)
+  const fantasyRound = testResults[race.round] || loadWeekendScores()[race.round];
+  const driverOfTheDay = cached.driverOfTheDay?.[race.round] || fantasyRound?.driverOfTheDay || null;
 
   const body = document.getElementById('race-profile-body');
   let html = '';
@@ -116,6 +117,9 @@ function _renderRaceResults(race) {
         : isFastestLap
           ? `<span class="rp-badge rp-badge--fl">FL</span>`
           : '';
+      const dotdBadge = driverId === driverOfTheDay
+        ? '<span class="rp-badge rp-badge--dotd" title="Driver of the Day">DOTD</span>'
+        : '';
 
       const posClass = pos === 1 ? 'rp-pos--gold' : pos === 2 ? 'rp-pos--silver' : pos === 3 ? 'rp-pos--bronze' : '';
       const profileAttr = driverConfig ? `data-driver-profile="${driverConfig.id}" role="button" tabindex="0"` : '';
@@ -123,9 +127,17 @@ function _renderRaceResults(race) {
       // Fantasy points for this driver this round
       const fpts = fantasyRound?.driverScores?.[driverId];
       const fptsVal = fpts !== undefined ? (typeof fpts === 'object' ? fpts.total : fpts) : null;
-      const fptsHtml = fptsVal !== null
-        ? `<span class="rp-fpts" title="Fantasy pts">${fptsVal >= 0 ? '+' : ''}${fptsVal}</span>`
-        : '';
+      let fptsHtml = '';
+      if (fptsVal !== null && fpts?.sprint) {
+        // Sprint weekend: split the weekend total into sprint and Grand Prix
+        const sprintVal = fpts.sprint.total;
+        const gpVal = fptsVal - sprintVal;
+        fptsHtml = `
+          <span class="rp-fpts rp-fpts--sprint" title="Sprint fantasy pts">S ${sprintVal >= 0 ? '+' : ''}${sprintVal}</span>
+          <span class="rp-fpts" title="Grand Prix fantasy pts">GP ${gpVal >= 0 ? '+' : ''}${gpVal}</span>`;
+      } else if (fptsVal !== null) {
+        fptsHtml = `<span class="rp-fpts" title="Fantasy pts">${fptsVal >= 0 ? '+' : ''}${fptsVal}</span>`;
+      }
 
       html += `
         <div class="rp-result-row" ${profileAttr}>
@@ -134,6 +146,7 @@ function _renderRaceResults(race) {
           <span class="rp-driver-name">${name}</span>
           <span class="rp-constructor" style="color:${color}">${r.Constructor?.name || ''}</span>
           ${statusBadge}
+          ${dotdBadge}
           ${fptsHtml}
         </div>
       `;
@@ -184,10 +197,16 @@ function _renderRaceResults(race) {
       const constructorId = r.Constructor?.constructorId;
       const color = TEAM_COLORS[constructorId] || CONSTRUCTORS.find(c => c.id === constructorId)?.color || '#555';
       const name = `${r.Driver?.givenName || ''} ${r.Driver?.familyName || ''}`.trim();
-      const isDNF = r.status && r.status !== 'Finished' && !r.status.startsWith('+');
+      const isDSQ = r.status === 'Disqualified';
+      const isDNF = !isDSQ && r.status && r.status !== 'Finished' && !r.status.startsWith('+');
       const posClass = pos === 1 ? 'rp-pos--gold' : pos === 2 ? 'rp-pos--silver' : pos === 3 ? 'rp-pos--bronze' : '';
       const profileAttr = driverConfig ? `data-driver-profile="${driverConfig.id}" role="button" tabindex="0"` : '';
 
+      const sprintPts = fantasyRound?.driverScores?.[driverId]?.sprint?.total;
+      const sprintPtsHtml = sprintPts !== undefined
+        ? `<span class="rp-fpts rp-fpts--sprint" title="Sprint fantasy pts">${sprintPts >= 0 ? '+' : ''}${sprintPts}</span>`
+        : '';
+
       html += `
         <div class="rp-result-row" ${profileAttr}>
           <span class="rp-pos ${posClass}">${pos}</span>
@@ -195,6 +214,8 @@ function _renderRaceResults(race) {
           <span class="rp-driver-name">${name}</span>
           <span class="rp-constructor" style="color:${color}">${r.Constructor?.name || ''}</span>
           ${isDNF ? '<span class="rp-badge rp-badge--dnf">DNF</span>' : ''}
+          ${isDSQ ? '<span class="rp-badge rp-badge--dnf">DSQ</span>' : ''}
+          ${sprintPtsHtml}
         </div>
       `;
     }
@@ -202,15 +223,19 @@ function _renderRaceResults(race) {
   }
 
   // ── Fantasy Summary (if we have fantasy scores for this round) ──
-  if (fantasyRound) {
+  const myEntry = loadScoringHistory()[race.round];
+  if (fantasyRound || myEntry) {
     html += '<h3 class="rp-section-title">Fantasy Summary</h3>';
     html += '<div class="rp-fantasy-summary">';
     html += `
       <div class="rp-fsum-row">
         <span class="rp-fsum-label">Team Score</span>
-        <span class="rp-fsum-value">${fantasyRound.total ?? '—'} pts</span>
+        <span class="rp-fsum-value">${myEntry?.total ?? fantasyRound?.total ?? '—'} pts</span>
       </div>
     `;
+    if (myEntry) {
+      html += `<button type="button" class="btn btn--sm rp-explain-btn" data-score-explainer="${race.round}">How did I score?</button>`;
+    }
     html += '</div>';
   }
 
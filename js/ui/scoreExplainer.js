@@ -0,0 +1,232 @@
+// Score Explainer
+// "How did I score?" panel: itemises one round's points per driver and
+// constructor from the breakdown stored in scoring history (nothing is
+// recomputed). Opened from the points chart, the race profile, or any
+// element with data-score-explainer="round".
+
+import { RACE_CALENDAR, DRIVERS, CONSTRUCTORS, TEAM_COLORS, getFlag } from '../config.js';
+import { loadScoringHistory } from '../services/storage.js';
+import { getRuleset } from '../scoring/rulesets.js';
+import { getBoostDef, entryBoostLedger, formatLedgerLine } from '../scoring/boosts.js';
+
+function boostName(key) {
+  return getBoostDef(key)?.name || key;
+}
+
+export function initScoreExplainer() {
+  const modal = document.getElementById('score-explainer-modal');
+  if (!modal) return;
+
+  modal.querySelector('.score-explainer__backdrop').addEventListener('click', closeScoreExplainer);
+  document.getElementById('score-explainer-close').addEventListener('click', closeScoreExplainer);
+
+  // Capture phase so Escape closes this panel before the race profile underneath
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !modal.hidden) {
+      e.stopPropagation();
+      closeScoreExplainer();
+    }
+  }, true);
+
+  document.addEventListener('click', (e) => {
+    const el = e.target.closest('[data-score-explainer]');
+    if (el) openScoreExplainer(Number(el.dataset.scoreExplainer));
+  });
+}
+
+/**
+ * Open the breakdown for one of the user's scored rounds.
+ * @param {number} round
+ */
+export function openScoreExplainer(round) {
+  const entry = loadScoringHistory()[round];
+  if (!entry) return;
+
+  const modal = document.getElementById('score-explainer-modal');
+  const race = RACE_CALENDAR.find(r => r.round === Number(round));
+
+  document.getElementById('score-explainer-round').textContent =
+    `Round ${round}${race ? ` · ${getFlag(race.flag)} ${race.name}` : ''}`;
+  document.getElementById('score-explainer-meta').textContent = [
+    entry.simulated ? 'Simulated round' : null,
+    entry.rulesetId ? `Scored with ${getRuleset(entry.rulesetId).name}` : null,
+  ].filter(Boolean).join(' · ');
+  document.getElementById('score-explainer-body').innerHTML = renderEntry(entry);
+
+  modal.removeAttribute('hidden');
+  modal.style.display = 'flex';
+  document.getElementById('score-explainer-close').focus();
+}
+
+export function closeScoreExplainer() {
+  const modal = document.getElementById('score-explainer-modal');
+  if (modal) {
+    modal.setAttribute('hidden', '');
+    modal.style.display = 'none';
+  }
+}
+
+// ===== Line Items =====
+
+function formatPts(points) {
+  return points > 0 ? `+${points}` : `${points}`;
+}
+
+function line(label, points, detail = '', cls = '') {
+  return `
+    <div class="explainer-line ${cls}">
+      <span class="explainer-line__label">${label}${detail ? ` <span class="explainer-line__detail">${detail}</span>` : ''}</span>
+      <span class="explainer-line__pts">${formatPts(points)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Engine breakdown for one driver as [label, points, detail] rows.
+ * Zero-point items are left out, except the finish.
+ */
+function driverItems(score) {
+  const items = [];
+  const finishDetail = score.status === 'Disqualified'
+    ? 'Disqualified'
+    : score.finish < 0 ? (score.status || 'DNF') : `P${score.position}`;
+  items.push(['Race finish', score.finish || 0, finishDetail]);
+
+  if (score.positionChange) items.push(['Positions', score.positionChange, `P${score.grid} → P${score.position}`]);
+  if (score.overtakes) items.push(['Overtakes', score.overtakes, `${score.overtakeCount} made`]);
+  if (score.fastestLap) items.push(['Fastest lap', score.fastestLap]);
+  if (score.driverOfTheDay) items.push(['Driver of the Day', score.driverOfTheDay]);
+  if (score.qualifying) {
+    items.push(['Qualifying', score.qualifying, score.qualifyingPosition ? `P${score.qualifyingPosition}` : 'No time']);
+  }
+
+  if (score.sprint) {
+    if (score.sprint.finish) items.push(['Sprint finish', score.sprint.finish]);
+    if (score.sprint.positionChange) items.push(['Sprint positions', score.sprint.positionChange]);
+    if (score.sprint.fastestLap) items.push(['Sprint fastest lap', score.sprint.fastestLap]);
+  } else if (score.sprintPoints) {
+    items.push(['Sprint', score.sprintPoints]);
+  }
+
+  if (score.streakBonus) items.push(['Top-10 streak', score.streakBonus]);
+  if (score.teammateBonus) {
+    const won = [score.teammate?.qualifying && 'qualifying', score.teammate?.race && 'race'].filter(Boolean);
+    items.push(['Beat teammate', score.teammateBonus, won.join(' & ')]);
+  }
+  return items;
+}
+
+function constructorItems(score) {
+  const items = [];
+  if (score.race) {
+    items.push(['Race finishes', score.race.finish, 'both cars']);
+    if (score.race.positionChange) items.push(['Positions', score.race.positionChange]);
+    if (score.race.overtakes) items.push(['Overtakes', score.race.overtakes]);
+  } else if (score.racePoints) {
+    items.push(['Race', score.racePoints]);
+  }
+  if (score.sprintPoints) items.push(['Sprint', score.sprintPoints]);
+  if (score.qualifyingBonus) items.push(['Qualifying bonus', score.qualifyingBonus]);
+  if (score.pitStopPoints || score.fastestPitStop) {
+    items.push(['Pit stops', score.pitStopPoints || 0, score.fastestPitStop ? `fastest ${score.fastestPitStop.toFixed(2)}s` : '']);
+  }
+  if (score.streakBonus) items.push(['Top-10 streak', score.streakBonus]);
+  return items;
+}
+
+/**
+ * Render stored items, plus an "Other" line for anything the stored
+ * total includes that isn't itemised (e.g. entries from older versions).
+ */
+function renderItems(items, base) {
+  const itemised = items.reduce((sum, [, pts]) => sum + pts, 0);
+  const rows = items.map(([label, pts, detail]) => line(label, pts, detail));
+  if (base !== itemised) rows.push(line('Other', base - itemised));
+  return rows.join('');
+}
+
+function renderDriver(driverId, d) {
+  const driver = DRIVERS.find(x => x.id === driverId);
+  const name = driver ? `${driver.firstName} ${driver.lastName}` : (d.breakdown?.driverName || driverId);
+  const color = TEAM_COLORS[driver?.team] || 'var(--border-color)';
+
+  // Entries from older versions may only hold the points
+  if (typeof d !== 'object') {
+    return `<div class="explainer-card" style="border-left-color:${color}"><div class="explainer-card__head"><strong>${name}</strong><span>${formatPts(d)}</span></div></div>`;
+  }
+
+  let html = renderItems(driverItems(d.breakdown || {}), d.base ?? d.total);
+  if (d.multiplier > 1) {
+    html += line('Subtotal', d.base, '', 'explainer-line--sub');
+    html += line(d.boost ? boostName(d.boost) : 'Boost', d.base * d.multiplier - d.base, `×${d.multiplier}`, 'explainer-line--boost');
+  }
+  const floored = d.floored ?? (d.adjusted === 0 && d.base * (d.multiplier || 1) < 0);
+  if (floored) {
+    html += line('No Negative floor', -(d.base * (d.multiplier || 1)), '', 'explainer-line--boost');
+  }
+
+  return `
+    <div class="explainer-card" style="border-left-color:${color}">
+      <div class="explainer-card__head"><strong>${name}</strong><span>${formatPts(d.total)}</span></div>
+      ${html}
+    </div>
+  `;
+}
+
+function renderConstructor(cId, c) {
+  const constructor = CONSTRUCTORS.find(x => x.id === cId);
+  const name = constructor?.name || cId;
+  const color = TEAM_COLORS[cId] || 'var(--border-color)';
+
+  if (typeof c !== 'object') {
+    return `<div class="explainer-card" style="border-left-color:${color}"><div class="explainer-card__head"><strong>${name}</strong><span>${formatPts(c)}</span></div></div>`;
+  }
+
+  let html = renderItems(constructorItems(c.breakdown || {}), c.base);
+  if (c.floored) html += line('No Negative floor', -c.base, '', 'explainer-line--boost');
+
+  return `
+    <div class="explainer-card" style="border-left-color:${color}">
+      <div class="explainer-card__head"><strong>${name}</strong><span>${formatPts(c.total)}</span></div>
+      ${html}
+    </div>
+  `;
+}
+
+function renderEntry(entry) {
+  const drivers = Object.entries(entry.driverScores || {});
+  const constructors = Object.entries(entry.constructorScores || {});
+  const driverTotal = drivers.reduce((sum, [, d]) => sum + (typeof d === 'object' ? d.total : d), 0);
+  const constructorTotal = entry.constructorScore
+    ?? constructors.reduce((sum, [, c]) => sum + (typeof c === 'object' ? c.total : c), 0);
+
+  let html = '<h3 class="rp-section-title">Drivers</h3>';
+  html += drivers.map(([id, d]) => renderDriver(id, d)).join('') || '<div class="rp-no-data">No drivers scored.</div>';
+
+  html += '<h3 class="rp-section-title">Constructors</h3>';
+  html += constructors.map(([id, c]) => renderConstructor(id, c)).join('') || '<div class="rp-no-data">No constructors scored.</div>';
+
+  const ledger = entryBoostLedger(entry);
+  const chips = ledger.map(item => boostName(item.key));
+
+  html += '<h3 class="rp-section-title">Team Total</h3>';
+  html += '<div class="rp-fantasy-summary">';
+  html += line('Drivers', driverTotal);
+  html += line('Constructors', constructorTotal);
+  if (entry.transferPenalty) {
+    html += line('Transfer penalty', entry.transferPenalty, 'transfers over the free allowance', 'explainer-line--penalty');
+  }
+  html += line('Total', entry.total || 0, chips.length ? chips.join(', ') : '', 'explainer-line--total');
+  html += '</div>';
+
+  if (ledger.length > 0) {
+    html += '<h3 class="rp-section-title">Boosts Played</h3>';
+    html += ledger.map(item => `<p class="explainer-note">${formatLedgerLine(item)}</p>`).join('');
+  }
+
+  const revision = entry.revisions?.[entry.revisions.length - 1];
+  if (revision) {
+    html += `<p class="explainer-note">Rescored after ${revision.reason} (${formatPts(revision.delta)}).</p>`;
+  }
+  return html;
+}
@@ -3,15 +3,28 @@
 // picker modal, boost activation with driver target selection.
 // Supports 5 drivers + 2 constructors per the official F1 Fantasy format.
 
-import { DRIVERS, CONSTRUCTORS, TEAM_COLORS, SCORING, getNextQualiDeadline, getFlag } from '../config.js';
+import {
+  DRIVERS, CONSTRUCTORS, TEAM_COLORS, getNextQualiDeadline, getLockedRace, getFlag,
+} from '../config.js';
 import { on, HookEvents } from '../services/hooks.js';
 import {
   getTeam, addDriver, removeDriver, setConstructor, removeConstructor,
-  activateBoost, deactivateBoost, getBoosts, getTeamName, setTeamName,
+  activateBoost, deactivateBoost, getBoosts, getTeamName, setTeamName, refreshLockState,
+  getTransferStatus,
 } from '../models/team.js';
 import { loadScoringHistory, loadCachedResults } from '../services/storage.js';
-import { calculateConstructorQualifyingBonus } from '../scoring/engine.js';
+import { calculateConstructorQualifyingBonus, calculateDriverQualifyingPoints } from '../scoring/engine.js';
+import { getActiveRuleset } from '../scoring/rulesets.js';
+import { getDriverPrice, getConstructorPrice } from '../scoring/prices.js';
+import {
+  getBoostDef, needsTarget, findExclusiveClash, buildBoostHistory, formatLedgerLine,
+} from '../scoring/boosts.js';
 import { showToast } from './toast.js';
+import {
+  loadPricePredictions, priceTrendHtml, loadRoundProjection, projectionHtml,
+} from './views.js';
+import { initOptimizer } from './optimizer.js';
+import { initWhatIf } from './whatIf.js';
 
 let pickerMode = null; // 'driver' | 'constructor'
 let pickerSlot = null;
@@ -24,6 +37,8 @@ export function initTeamUI() {
   renderBoosts();
   setupPicker();
   setupBoostTargetModal();
+  initOptimizer();
+  initWhatIf();
   setupChipInfo();
   renderGuestNotice();
   initTeamNameUI();
@@ -47,11 +62,23 @@ export function initTeamUI() {
     updateTeamMeta();
   });
 
+  // Scoring pipeline wrote new rounds and consumed boosts
+  on(HookEvents.FANTASY_SCORES_UPDATED, () => {
+    renderSlots();
+    updateTeamMeta();
+    renderBoosts();
+  });
+
   on(HookEvents.RACE_QUALIFYING_RECEIVED, () => {
     renderSlots();
     updateTeamMeta();
     renderProvisionalBanner();
   });
+
+  on(HookEvents.PRICES_UPDATED, () => {
+    renderSlots();
+    updateTeamMeta();
+  });
 }
 
 // ===== Team Lock Deadline Countdown =====
@@ -60,29 +87,30 @@ function renderLockDeadlineBanner() {
   const container = document.getElementById('team-lock-deadline');
   if (!container) return;
 
-  const info = getNextQualiDeadline();
-  if (!info) {
-    container.innerHTML = '';
-    return;
-  }
-
-  const { race, deadline } = info;
-  const now = new Date();
-  const diff = deadline - now;
-
-  if (diff <= 0) {
+  const lockedRace = getLockedRace();
+  if (lockedRace) {
     container.innerHTML = `
       <div class="lock-deadline lock-deadline--locked">
         <span class="lock-deadline__icon">&#128274;</span>
         <div class="lock-deadline__text">
           <strong>Team Locked</strong>
-          <span>${getFlag(race.flag)} ${race.name} — changes locked for Qualies</span>
+          <span>${getFlag(lockedRace.flag)} ${lockedRace.name} — changes reopen after the race</span>
         </div>
       </div>
     `;
     return;
   }
 
+  const info = getNextQualiDeadline();
+  if (!info) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const { race, deadline } = info;
+  const now = new Date();
+  const diff = deadline - now;
+
   const days = Math.floor(diff / (1000 * 60 * 60 * 24));
   const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
   const mins = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
@@ -116,6 +144,16 @@ function renderHeaderLockPill() {
   const pill = document.getElementById('header-lock-pill');
   if (!pill) return;
 
+  const lockedRace = getLockedRace();
+  if (lockedRace) {
+    pill.innerHTML = `
+      <div class="header-lock-pill__inner header-lock-pill--locked">
+        <span>&#128274;</span>
+        <span>${getFlag(lockedRace.flag)} Locked</span>
+      </div>`;
+    return;
+  }
+
   const info = getNextQualiDeadline();
   if (!info) {
     pill.innerHTML = '';
@@ -125,15 +163,6 @@ function renderHeaderLockPill() {
   const { race, deadline } = info;
   const diff = deadline - new Date();
 
-  if (diff <= 0) {
-    pill.innerHTML = `
-      <div class="header-lock-pill__inner header-lock-pill--locked">
-        <span>&#128274;</span>
-        <span>${getFlag(race.flag)} Locked</span>
-      </div>`;
-    return;
-  }
-
   const days = Math.floor(diff / (1000 * 60 * 60 * 24));
   const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
   const mins = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
@@ -159,6 +188,8 @@ function startDeadlineCountdown() {
   renderLockDeadlineBanner();
   renderHeaderLockPill();
   _deadlineInterval = setInterval(() => {
+    // Freezes the snapshot the moment the deadline passes
+    refreshLockState();
     renderLockDeadlineBanner();
     renderHeaderLockPill();
   }, 1000);
@@ -187,14 +218,19 @@ function getProvisionalData() {
   const qualiResults = qualiRace.QualifyingResults || [];
   if (qualiResults.length === 0) return null;
 
-  // Project each driver's points as if they finish where they qualified
+  // Qualifying points are already banked; race points assume they finish where they qualified
+  const { rules } = getActiveRuleset();
   const driverProvisional = {};
   for (const result of qualiResults) {
     const driverId = result.Driver?.driverId;
     if (!driverId) continue;
     const position = parseInt(result.position, 10);
+    const qualiPoints = calculateDriverQualifyingPoints(result, rules).points;
+    const racePoints = rules.RACE_FINISH[position] || 0;
     driverProvisional[driverId] = {
-      points: SCORING.RACE_FINISH[position] || 0,
+      points: qualiPoints + racePoints,
+      qualiPoints,
+      racePoints,
       position,
     };
   }
@@ -205,10 +241,10 @@ function getProvisionalData() {
     let racePoints = 0;
     for (const driverId of constructor.drivers) {
       if (driverProvisional[driverId]) {
-        racePoints += driverProvisional[driverId].points;
+        racePoints += driverProvisional[driverId].racePoints;
       }
     }
-    const qualiBonus = calculateConstructorQualifyingBonus(constructor.id, qualiResults);
+    const qualiBonus = calculateConstructorQualifyingBonus(constructor.id, qualiResults, rules);
     constructorProvisional[constructor.id] = {
       points: racePoints + qualiBonus.bonus,
       racePoints,
@@ -240,7 +276,7 @@ function renderProvisionalBanner() {
     <span class="provisional-banner__icon" aria-hidden="true">&#9203;</span>
     <div class="provisional-banner__text">
       <strong>Qualifying complete &mdash; ${provisional.raceName}</strong>
-      <span>Points below are projected if grid positions hold to the finish. No position changes assumed.</span>
+      <span>Qualifying points are final. Race points below are projected if grid positions hold to the finish.</span>
     </div>
   `;
 }
@@ -248,7 +284,16 @@ function renderProvisionalBanner() {
 function updateTeamMeta() {
   const team = getTeam();
   document.getElementById('team-budget').textContent = `$${team.budget.toFixed(1)}M`;
-  document.getElementById('team-transfers').textContent = team.freeTransfers;
+
+  const transfers = getTransferStatus();
+  const transfersEl = document.getElementById('team-transfers');
+  if (transfers.waived) {
+    transfersEl.innerHTML = `${transfers.made}/${transfers.free} <span class="meta-provisional" title="Wildcard or Limitless active — transfers don't count this round">waived</span>`;
+  } else if (transfers.penalty < 0) {
+    transfersEl.innerHTML = `${transfers.made}/${transfers.free} <span class="meta-penalty" title="${getActiveRuleset().rules.TRANSFER_PENALTY} pts per transfer over the free allowance">${transfers.penalty} pts</span>`;
+  } else {
+    transfersEl.textContent = `${transfers.made}/${transfers.free}`;
+  }
 
   const history = loadScoringHistory();
   const totalPoints = Object.values(history).reduce((sum, r) => sum + (r.total || 0), 0);
@@ -331,8 +376,9 @@ function renderSlots() {
     let boostBadge = '';
     for (const [type, state] of Object.entries(boosts)) {
       if (state.active && state.target === driverId) {
-        const labels = { drs: 'DRS 2x', mega: 'MEGA 3x', 'extra-drs': 'XDRS 2x' };
-        boostBadge = `<span class="slot__boost-badge">${labels[type] || type}</span>`;
+        const def = getBoostDef(type);
+        const label = def ? `${def.short.toUpperCase()} ${def.multiplier}x` : type;
+        boostBadge = `<span class="slot__boost-badge">${label}</span>`;
       }
     }
 
@@ -344,7 +390,7 @@ function renderSlots() {
 
     const provPts = provisional?.driverProvisional?.[driverId];
     const provisionalHtml = provPts !== undefined
-      ? `<div class="slot__provisional" title="Projected if P${provPts.position} finish — no position changes assumed">
+      ? `<div class="slot__provisional" title="${provPts.qualiPoints >= 0 ? '+' : ''}${provPts.qualiPoints} qualifying pts, plus ${provPts.racePoints} race pts if P${provPts.position} finish">
            <span class="slot__provisional__icon">&#126;</span>
            <span class="slot__provisional__pts">${provPts.points >= 0 ? '+' : ''}${provPts.points} pts</span>
            <span class="slot__provisional__pos">if P${provPts.position}</span>
@@ -362,7 +408,7 @@ function renderSlots() {
           </div>
           <span class="slot__driver-team">${constructor?.name || driver.team}</span>
           <div class="slot__driver-meta">
-            <span class="slot__driver-price">$${driver.price}M</span>
+            <span class="slot__driver-price">$${getDriverPrice(driver.id)}M</span>
             <span class="slot__driver-points">${totalPts} pts</span>
             ${lastPtsHtml}
           </div>
@@ -408,7 +454,7 @@ function renderSlots() {
             return d ? `${d.firstName} ${d.lastName}` : id;
           }).join(', ')}</span>
           <div class="slot__driver-meta">
-            <span class="slot__driver-price">$${c.price}M</span>
+            <span class="slot__driver-price">$${getConstructorPrice(c.id)}M</span>
             <span class="slot__driver-points">${totalPts} pts</span>
           </div>
           ${cProvisionalHtml}
@@ -439,18 +485,26 @@ function renderSlots() {
       const slot = parseInt(btn.dataset.removeSlot, 10);
 
       if (type === 'constructor') {
-        removeConstructor(slot);
+        const result = removeConstructor(slot);
+        if (!result.success) {
+          showToast(result.error, 'error');
+          return;
+        }
         showToast('Constructor removed.', 'info', 3500);
       } else {
         const driverId = getTeam().drivers[slot];
         const driver = DRIVERS.find(d => d.id === driverId);
         const driverName = driver ? `${driver.firstName} ${driver.lastName}` : 'Driver';
 
+        const result = removeDriver(slot);
+        if (!result.success) {
+          showToast(result.error, 'error');
+          return;
+        }
+
         // Clear any pending undo timer
         if (lastRemoved?.timer) clearTimeout(lastRemoved.timer);
 
-        removeDriver(slot);
-
         const undoTimer = setTimeout(() => { lastRemoved = null; }, 5000);
         lastRemoved = { id: driverId, slot, timer: undoTimer };
 
@@ -470,20 +524,36 @@ function renderSlots() {
   });
 }
 
+/**
+ * "R6 · VER +84" for a chip's status line.
+ */
+function chipPlayedText(item) {
+  const driver = item.target ? DRIVERS.find(d => d.id === item.target) : null;
+  const pts = item.points != null ? ` ${item.points > 0 ? '+' : ''}${item.points}` : '';
+  return `R${item.round}${driver ? ` · ${driver.code}` : ''}${pts}`;
+}
+
 function renderBoosts() {
   const boosts = getBoosts();
   const team = getTeam();
+  const history = buildBoostHistory(loadScoringHistory());
 
   document.querySelectorAll('.chip[data-boost]').forEach(chip => {
     const type = chip.dataset.boost;
+    const def = getBoostDef(type);
     const state = boosts[type];
     const statusEl = chip.querySelector('.chip__status');
+    const played = history.filter(item => item.key === type);
+    const oneOff = def?.oncePerSeason;
+    const clash = findExclusiveClash(type, boosts);
 
     chip.classList.remove('active', 'used');
+    chip.title = played.map(formatLedgerLine).join('\n');
 
-    if (state?.used && type !== 'drs') {
+    if (state?.used && oneOff) {
       chip.classList.add('used');
-      statusEl.textContent = 'Used';
+      const last = played[played.length - 1];
+      statusEl.textContent = last ? `Used ${chipPlayedText(last)}` : 'Used';
     } else if (state?.active) {
       chip.classList.add('active');
       if (state.target) {
@@ -492,26 +562,28 @@ function renderBoosts() {
       } else {
         statusEl.textContent = 'Active';
       }
+    } else if (clash) {
+      statusEl.textContent = `Not with ${getBoostDef(clash).name}`;
     } else {
-      const perRaceBoosts = ['drs'];
-      statusEl.textContent = perRaceBoosts.includes(type) ? 'Available each race' : 'Available';
+      statusEl.textContent = oneOff ? 'Available' : 'Available each race';
     }
 
     chip.onclick = (e) => {
       // Don't activate if the info button was clicked
       if (e.target.closest('.chip__info')) return;
 
-      if (state?.used && type !== 'drs') return;
+      if (state?.used && oneOff) return;
 
       if (state?.active) {
-        deactivateBoost(type);
+        if (type === 'limitless' && !confirm('Switching Limitless off restores your team from before you played it. Continue?')) return;
+        const result = deactivateBoost(type);
+        if (!result.success) showToast(result.error, 'error');
         renderBoosts();
         renderSlots();
         return;
       }
 
-      const needsTarget = ['drs', 'mega', 'extra-drs'];
-      if (needsTarget.includes(type)) {
+      if (needsTarget(type)) {
         const driversOnTeam = team.drivers.filter(d => d !== null);
         if (driversOnTeam.length === 0) {
           showToast('Add drivers to your team before activating this boost.', 'warning');
@@ -656,12 +728,8 @@ function openBoostTargetModal(boostType) {
   const title = document.getElementById('boost-target-title');
   const body = document.getElementById('boost-target-body');
 
-  const labels = {
-    drs: 'DRS Boost (2x points)',
-    mega: 'Mega Driver (3x points)',
-    'extra-drs': 'Extra DRS (2x points)',
-  };
-  title.textContent = `Select driver for ${labels[boostType] || boostType}`;
+  const def = getBoostDef(boostType);
+  title.textContent = `Select driver for ${def ? `${def.name} (${def.multiplier}x points)` : boostType}`;
 
   const team = getTeam();
   body.innerHTML = team.drivers.filter(id => id !== null).map(driverId => {
@@ -770,15 +838,25 @@ function renderPickerItems() {
 
   // Also keep budget indicator current
   updatePickerBudget();
+  const predictions = loadPricePredictions();
+  const projections = loadRoundProjection();
 
   if (pickerMode === 'driver') {
+    // The driver being replaced frees up their price; Limitless lifts the cap
+    const limitless = getBoosts().limitless?.active;
+    const replacing = team.drivers[pickerSlot];
+    const available = team.budget + (replacing ? getDriverPrice(replacing) : 0);
+
     let items = DRIVERS.map(d => ({
       ...d,
+      price: getDriverPrice(d.id),
+      prediction: predictions.drivers[d.id],
+      projection: projections.drivers[d.id],
       fullName: `${d.firstName} ${d.lastName}`,
       teamName: CONSTRUCTORS.find(c => c.id === d.team)?.name || d.team,
       color: TEAM_COLORS[d.team] || 'var(--border-color)',
       onTeam: team.drivers.includes(d.id),
-      overBudget: d.price > team.budget,
+      overBudget: !limitless && getDriverPrice(d.id) > available,
       points: 0,
     }));
 
@@ -810,8 +888,9 @@ function renderPickerItems() {
             <div class="picker-item__name">${d.fullName}</div>
             <div class="picker-item__team">${d.teamName}</div>
           </div>
-          <span class="picker-item__price">$${d.price}M</span>
-          <span class="picker-item__points">${d.points} pts</span>
+          <span class="picker-item__price">$${d.price}M ${priceTrendHtml(d.prediction)}</span>
+          ${pointsPerMillionHtml(d.prediction)}
+          ${projectionHtml(d.projection, 'picker-item__points')}
           ${reasonHtml}
         </div>
       `;
@@ -832,6 +911,9 @@ function renderPickerItems() {
     // Constructor picker
     let items = CONSTRUCTORS.map(c => ({
       ...c,
+      price: getConstructorPrice(c.id),
+      prediction: predictions.constructors[c.id],
+      projection: projections.constructors[c.id],
       driverNames: c.drivers.map(id => {
         const d = DRIVERS.find(d => d.id === id);
         return d ? `${d.firstName} ${d.lastName}` : id;
@@ -860,8 +942,9 @@ function renderPickerItems() {
             <div class="picker-item__name">${c.name}</div>
             <div class="picker-item__team">${c.driverNames}</div>
           </div>
-          <span class="picker-item__price">$${c.price}M</span>
-          <span class="picker-item__points">${c.points} pts</span>
+          <span class="picker-item__price">$${c.price}M ${priceTrendHtml(c.prediction)}</span>
+          ${pointsPerMillionHtml(c.prediction)}
+          ${projectionHtml(c.projection, 'picker-item__points')}
           ${reasonHtml}
         </div>
       `;
@@ -880,11 +963,19 @@ function renderPickerItems() {
   }
 }
 
+function pointsPerMillionHtml(prediction) {
+  const ppm = prediction?.pointsPerMillion;
+  return `<span class="picker-item__ppm" title="Fantasy points per $M over the last few rounds">${ppm == null ? '--' : ppm.toFixed(2)}/$M</span>`;
+}
+
 function getSortFn(sortVal) {
   switch (sortVal) {
     case 'price-asc': return (a, b) => a.price - b.price;
     case 'price-desc': return (a, b) => b.price - a.price;
     case 'points-desc': return (a, b) => (b.points || 0) - (a.points || 0);
+    case 'projected-desc': return (a, b) => (b.projection?.expected ?? 0) - (a.projection?.expected ?? 0);
+    case 'value-desc':
+      return (a, b) => (b.prediction?.pointsPerMillion ?? -Infinity) - (a.prediction?.pointsPerMillion ?? -Infinity);
     case 'name-asc': return (a, b) => (a.fullName || a.name || '').localeCompare(b.fullName || b.name || '');
     default: return () => 0;
   }
@@ -1,12 +1,14 @@
 // Test Mode UI
 // Renders the test mode card inside the admin panel.
 // Supports three states: setup, active (mid-season), and complete.
+// Shows the seed behind every simulated round and takes a seed to replay one.
 
 import {
-  createTestUsers, simulateRace, getTestModeState, cleanupTestMode,
+  createTestUsers, simulateRace, replayRound, getTestModeState, cleanupTestMode,
 } from '../services/test-mode.js';
 import { getAllUsers, saveH2HSchedule } from '../services/auth.js';
 import { generateRoundRobinSchedule } from '../services/h2h.js';
+import { randomSeed } from '../services/prng.js';
 import { RACE_CALENDAR } from '../config.js';
 import { showToast } from './toast.js';
 
@@ -54,6 +56,7 @@ function renderSetupUI() {
         border-radius:var(--radius-sm);padding:0.4rem 0.6rem;color:var(--text-primary);
         font-size:0.85rem;text-align:center">
     </div>
+    ${seedInputHtml('test-team-seed', 'Team Seed:')}
     <button class="btn btn--primary" id="test-mode-init-btn">Initialize Test Mode</button>
   `;
 
@@ -63,11 +66,12 @@ function renderSetupUI() {
 async function handleInit(e) {
   const btn = e.target;
   const count = parseInt(document.getElementById('test-user-count').value, 10) || 8;
+  const seed = readSeed('test-team-seed');
   btn.disabled = true;
   btn.textContent = 'Creating test users...';
 
   try {
-    await createTestUsers(count);
+    await createTestUsers(count, seed);
 
     // Auto-regenerate H2H schedule to include test users
     btn.textContent = 'Generating H2H schedule...';
@@ -148,11 +152,13 @@ function renderActiveUI(state) {
       </div>
     </div>
 
+    ${seedInputHtml('test-race-seed', 'Race Seed:')}
     <button class="btn btn--primary" id="test-simulate-btn" style="width:100%;margin-bottom:1rem">
       Simulate Round ${state.nextRound}
     </button>
 
     ${leaderboardHtml}
+    ${seedsHtml(state)}
 
     <div style="border-top:1px solid var(--border-color);padding-top:0.75rem;display:flex;gap:0.5rem;flex-wrap:wrap">
       <button class="btn btn--sm" id="test-regen-h2h-btn">Regen H2H Schedule</button>
@@ -167,9 +173,9 @@ function renderActiveUI(state) {
     btn.textContent = `Simulating Round ${state.nextRound}...`;
 
     try {
-      const result = await simulateRace(state.nextRound);
+      const result = await simulateRace(state.nextRound, readSeed('test-race-seed'));
       showToast(
-        `Round ${result.round} (${result.raceName}) simulated. ${result.testUsersScored} users scored.`,
+        `Round ${result.round} (${result.raceName}) simulated with seed ${result.seed}. ${result.testUsersScored} users scored.`,
         'success',
       );
       await renderTestModeUI();
@@ -201,6 +207,7 @@ function renderActiveUI(state) {
 
   // Wire up Reset
   document.getElementById('test-reset-btn').addEventListener('click', handleReset);
+  wireReplayButtons(state);
 }
 
 // ===== Complete State (24/24 rounds) =====
@@ -232,10 +239,78 @@ function renderCompleteUI(state) {
       <div style="font-weight:600;font-size:0.85rem;margin-bottom:0.5rem">Final Test Standings</div>
       ${leaderboardHtml}
     </div>
+    ${seedsHtml(state)}
     <button class="btn btn--sm" id="test-reset-btn" style="width:100%;color:var(--accent-red)">Reset Test Mode</button>
   `;
 
   document.getElementById('test-reset-btn').addEventListener('click', handleReset);
+  wireReplayButtons(state);
+}
+
+// ===== Seeds =====
+
+function seedInputHtml(id, label) {
+  return `
+    <div style="display:flex;align-items:center;gap:1rem;margin-bottom:1rem">
+      <label for="${id}" style="font-size:0.85rem;color:var(--text-secondary)">${label}</label>
+      <input type="text" id="${id}" placeholder="random"
+        style="flex:1;min-width:0;background:var(--bg-card);border:1px solid var(--border-color);
+        border-radius:var(--radius-sm);padding:0.4rem 0.6rem;color:var(--text-primary);
+        font-size:0.85rem">
+    </div>
+  `;
+}
+
+// An entered seed replays a round or team set; blank picks a fresh one
+function readSeed(id) {
+  const value = document.getElementById(id)?.value.trim();
+  return value || randomSeed();
+}
+
+function seedsHtml(state) {
+  const rounds = Object.keys(state.seeds).map(Number).sort((a, b) => a - b);
+  if (rounds.length === 0 && state.teamSeed === null) return '';
+
+  return `
+    <details style="margin-bottom:1rem;font-size:0.8rem;color:var(--text-secondary)">
+      <summary style="cursor:pointer;font-weight:600;color:var(--text-muted)">Seeds</summary>
+      ${state.teamSeed !== null ? `
+        <div style="display:flex;justify-content:space-between;padding:0.2rem 0">
+          <span>Teams</span><code>${escapeHtml(state.teamSeed)}</code>
+        </div>` : ''}
+      ${rounds.map(round => `
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:0.5rem;padding:0.2rem 0">
+          <span style="flex:1">Round ${round} &mdash; ${RACE_CALENDAR.find(r => r.round === round)?.name || ''}</span>
+          <code>${escapeHtml(state.seeds[round])}</code>
+          <button class="btn btn--sm" data-replay-round="${round}" title="Regenerate this round from its seed and rescore it">Replay</button>
+        </div>
+      `).join('')}
+    </details>
+  `;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
+
+function wireReplayButtons(state) {
+  container.querySelectorAll('[data-replay-round]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const round = Number(btn.dataset.replayRound);
+      try {
+        const result = replayRound(round, state.seeds[round]);
+        const changed = result.changedDrivers.length;
+        showToast(
+          `Round ${round} (${result.raceName}) replayed: ${changed === 0 ? 'scores unchanged' : `${changed} driver scores changed`}.`,
+          changed === 0 ? 'success' : 'info',
+        );
+      } catch (err) {
+        showToast('Replay failed: ' + err.message, 'error');
+      }
+    });
+  });
 }
 
 // ===== Shared Handlers =====
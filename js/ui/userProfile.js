@@ -4,7 +4,10 @@
 
 import { DRIVERS, CONSTRUCTORS, TEAM_COLORS } from '../config.js';
 import { getUserProfile } from '../services/auth.js';
+import { calculateTeamValue } from '../models/team.js';
 import { loadScoringHistory } from '../services/storage.js';
+import { buildBoostHistory, formatLedgerLine } from '../scoring/boosts.js';
+import { getDriverPrice, getConstructorPrice } from '../scoring/prices.js';
 
 /**
  * Build a simple SVG line chart showing cumulative points over time.
@@ -117,6 +120,7 @@ export async function openUserProfile(uid, fallbackName) {
   document.getElementById('user-profile-role').style.display = 'none';
   document.getElementById('user-profile-team').innerHTML = '<div class="up-loading">Loading team...</div>';
   document.getElementById('user-profile-stats').innerHTML = '';
+  document.getElementById('user-profile-boosts').style.display = 'none';
   document.getElementById('user-profile-chart').style.display = 'none';
 
   modal.removeAttribute('hidden');
@@ -187,7 +191,7 @@ function _renderUserProfile(profile) {
             <span class="up-team-number" style="color:${color}">${d.number}</span>
             <span class="up-team-name"><strong>${d.lastName}</strong> ${d.firstName}</span>
             <span class="up-team-meta">${constructor?.shortName || ''}</span>
-            <span class="up-team-price">$${d.price}M</span>
+            <span class="up-team-price">$${getDriverPrice(d.id)}M</span>
           </div>
         `;
       }).join('');
@@ -208,7 +212,7 @@ function _renderUserProfile(profile) {
             <span class="up-team-number" style="color:${c.color}">C</span>
             <span class="up-team-name"><strong>${c.shortName}</strong></span>
             <span class="up-team-meta">${driverNames}</span>
-            <span class="up-team-price">$${c.price}M</span>
+            <span class="up-team-price">$${getConstructorPrice(c.id)}M</span>
           </div>
         `;
       }).join('');
@@ -235,16 +239,7 @@ function _renderUserProfile(profile) {
     lastRacePts = pts;
   }
 
-  // Calculate team value
-  let teamValue = 0;
-  for (const dId of teamDrivers) {
-    const d = DRIVERS.find(d => d.id === dId);
-    if (d) teamValue += d.price;
-  }
-  for (const cId of teamConstructors) {
-    const c = CONSTRUCTORS.find(c => c.id === cId);
-    if (c) teamValue += c.price;
-  }
+  const teamValue = calculateTeamValue(team);
 
   // Stats grid
   let statsHtml = `
@@ -258,7 +253,7 @@ function _renderUserProfile(profile) {
     </div>
     <div class="dp-stat">
       <span class="dp-stat__label">Team Value</span>
-      <span class="dp-stat__value dp-stat__value--green">$${teamValue}M</span>
+      <span class="dp-stat__value dp-stat__value--green">$${teamValue.total.toFixed(1)}M</span>
     </div>
     <div class="dp-stat">
       <span class="dp-stat__label">Drivers</span>
@@ -288,6 +283,20 @@ function _renderUserProfile(profile) {
 
   document.getElementById('user-profile-stats').innerHTML = statsHtml;
 
+  // Boosts played
+  const boostsEl = document.getElementById('user-profile-boosts');
+  const boostHistory = buildBoostHistory(history);
+  if (boostHistory.length > 0) {
+    boostsEl.style.display = '';
+    boostsEl.innerHTML = '<div class="up-team-section-label">Boosts Played</div>' +
+      boostHistory.map(item => {
+        const cls = item.points > 0 ? 'points-positive' : item.points < 0 ? 'points-negative' : '';
+        return `<div class="up-boost-row ${cls}">${formatLedgerLine(item)}</div>`;
+      }).join('');
+  } else {
+    boostsEl.style.display = 'none';
+  }
+
   // Points over time
   const chartEl = document.getElementById('user-profile-chart');
   if (cumulativePts.length > 0) {
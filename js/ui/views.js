@@ -4,7 +4,9 @@
 
 import { DRIVERS, CONSTRUCTORS, TEAM_COLORS, RACE_CALENDAR, getFlag } from '../config.js';
 import { on, HookEvents } from '../services/hooks.js';
-import { loadCachedResults, loadTestResults } from '../services/storage.js';
+import { loadCachedResults, loadTestResults, loadWeekendScores } from '../services/storage.js';
+import { getDriverPrice, getConstructorPrice, predictPriceChanges } from '../scoring/prices.js';
+import { projectRound } from '../scoring/projection.js';
 
 export function initViews() {
   renderDriversTable();
@@ -22,6 +24,75 @@ export function initViews() {
     renderStandings();
     renderCalendar();
   });
+  // Weekend scores (quali bonus, pit stops) are written after the sync completes
+  on(HookEvents.FANTASY_SCORES_CALCULATED, renderConstructorsTable);
+  on(HookEvents.PRICES_UPDATED, () => {
+    renderDriversTable();
+    renderConstructorsTable();
+  });
+}
+
+// ===== Price Predictions =====
+
+/**
+ * Likely next-round price moves, from the cached weekend scores.
+ * @returns {{ drivers: object, constructors: object }} See predictPriceChanges
+ */
+export function loadPricePredictions() {
+  const weekends = Object.values(loadWeekendScores())
+    .sort((a, b) => Number(a.round) - Number(b.round));
+  return predictPriceChanges(weekends);
+}
+
+/**
+ * Up/down arrow for a predicted price move, or nothing if the price should hold.
+ */
+export function priceTrendHtml(prediction) {
+  if (!prediction?.change) return '';
+  const up = prediction.change > 0;
+  return `<span class="price-trend price-trend--${up ? 'up' : 'down'}" title="Likely to ${up ? 'rise' : 'fall'} $${Math.abs(prediction.change).toFixed(1)}M next round" aria-label="Likely ${up ? 'riser' : 'faller'}">${up ? '&#9650;' : '&#9660;'}</span>`;
+}
+
+function formatPointsPerMillion(prediction) {
+  return prediction?.pointsPerMillion == null ? '--' : prediction.pointsPerMillion.toFixed(2);
+}
+
+// ===== Points Projection =====
+
+/**
+ * The inputs for projecting the next round from cached data: the round,
+ * weekend scores in round order, the grid once the next round has qualified,
+ * and past seasons' results at its circuit.
+ * @returns {{ round: number, weekendScores: Array, qualifying: Array|null, circuitHistory: Array }}
+ */
+export function loadProjectionContext() {
+  const cached = loadCachedResults();
+  const raced = new Set((cached.raceResults || []).map(r => String(r.round)));
+  const grid = (cached.qualifying || []).find(q => !raced.has(String(q.round)));
+  const nextRace = (cached.schedule || []).find(r => !raced.has(String(r.round)));
+  return {
+    round: raced.size > 0 ? Math.max(...[...raced].map(Number)) + 1 : 1,
+    weekendScores: Object.values(loadWeekendScores()).sort((a, b) => Number(a.round) - Number(b.round)),
+    qualifying: grid?.QualifyingResults?.length ? grid.QualifyingResults : null,
+    circuitHistory: cached.circuitHistory?.[nextRace?.Circuit?.circuitId] || [],
+  };
+}
+
+/**
+ * Expected points for the next round.
+ * @returns {{ drivers: object, constructors: object }} See projectRound
+ */
+export function loadRoundProjection() {
+  return projectRound(loadProjectionContext());
+}
+
+/**
+ * "~18 pts" with the likely range and DNF risk on hover.
+ */
+export function projectionHtml(projection, className = 'projection') {
+  if (!projection) return '';
+  const title = `Projected next round: ${projection.low} to ${projection.high} pts, ${Math.round(projection.dnfRate * 100)}% DNF risk`;
+  return `<span class="${className}" title="${title}">~${projection.expected} pts</span>`;
 }
 
 // ===== All Drivers =====
@@ -42,6 +113,7 @@ function renderDriversTable() {
   const roundKeys = Object.keys(testResults).sort((a, b) => Number(a) - Number(b));
   const numRounds = roundKeys.length;
   const lastRound = numRounds > 0 ? roundKeys[roundKeys.length - 1] : null;
+  const predictions = loadPricePredictions().drivers;
 
   let drivers = DRIVERS.map(d => {
     const standing = standingsMap[d.id];
@@ -55,6 +127,8 @@ function renderDriversTable() {
 
     return {
       ...d,
+      price: getDriverPrice(d.id),
+      prediction: predictions[d.id],
       teamName: CONSTRUCTORS.find(c => c.id === d.team)?.shortName || d.team,
       color: TEAM_COLORS[d.team] || '#555',
       totalPoints,
@@ -71,6 +145,9 @@ function renderDriversTable() {
     case 'price-desc': drivers.sort((a, b) => b.price - a.price); break;
     case 'price-asc': drivers.sort((a, b) => a.price - b.price); break;
     case 'points-desc': drivers.sort((a, b) => b.totalPoints - a.totalPoints || b.price - a.price); break;
+    case 'value-desc':
+      drivers.sort((a, b) => (b.prediction?.pointsPerMillion ?? -Infinity) - (a.prediction?.pointsPerMillion ?? -Infinity));
+      break;
     case 'name-asc': drivers.sort((a, b) => a.lastName.localeCompare(b.lastName)); break;
   }
 
@@ -85,7 +162,8 @@ function renderDriversTable() {
         </div>
       </td>
       <td style="color:${d.color};font-weight:600">${d.teamName}</td>
-      <td class="points-positive">$${d.price}M</td>
+      <td class="points-positive">$${d.price}M ${priceTrendHtml(d.prediction)}</td>
+      <td>${formatPointsPerMillion(d.prediction)}</td>
       <td>${d.totalPoints}</td>
       <td>${d.avgPoints}</td>
       <td>${d.lastRace}</td>
@@ -121,10 +199,11 @@ function renderConstructorsTable() {
     standingsMap[s.Constructor?.constructorId] = Number(s.points) || 0;
   }
 
-  const testResults = loadTestResults();
+  // Real weekend scores, with simulated rounds layered on top in test mode
+  const weekendScores = { ...loadWeekendScores(), ...loadTestResults() };
   const qualiMap = {};
   const pitMap = {};
-  for (const ws of Object.values(testResults)) {
+  for (const ws of Object.values(weekendScores)) {
     for (const [cId, cScore] of Object.entries(ws.constructorScores || {})) {
       if (!qualiMap[cId]) qualiMap[cId] = 0;
       if (!pitMap[cId]) pitMap[cId] = 0;
@@ -135,6 +214,7 @@ function renderConstructorsTable() {
 
   const constructors = CONSTRUCTORS.map(c => ({
     ...c,
+    price: getConstructorPrice(c.id),
     driverNames: c.drivers.map(id => {
       const d = DRIVERS.find(d => d.id === id);
       return d ? `${d.firstName} ${d.lastName}` : id;
@@ -0,0 +1,248 @@
+// What-If Simulator
+// "What if Norris finishes P3 and Leclerc DNFs?" Drag the finishing order,
+// mark DNFs, fastest lap and Driver of the Day, and see what the next race
+// would score for my team and for my H2H opponent's. Scenarios are scored
+// silently and never written to scoring history.
+
+import { DRIVERS, CONSTRUCTORS, TEAM_COLORS, RACE_CALENDAR } from '../config.js';
+import { getTeam, getBoosts } from '../models/team.js';
+import { loadCachedResults } from '../services/storage.js';
+import { simulateScenario } from '../scoring/scenario.js';
+import { loadProjectionContext, loadRoundProjection } from './views.js';
+import { loadH2HOpponent } from './h2h.js';
+
+let scenario = null;
+let context = null;
+let opponent = null; // { name, team, boosts } for the next round's H2H matchup; undefined while loading
+let dragId = null;
+
+export function initWhatIf() {
+  const modal = document.getElementById('what-if-modal');
+  if (!modal) return;
+
+  document.getElementById('btn-open-what-if')?.addEventListener('click', openWhatIf);
+  document.getElementById('what-if-close').addEventListener('click', closeWhatIf);
+  document.getElementById('what-if-reset').addEventListener('click', () => {
+    scenario = defaultScenario();
+    renderWhatIf();
+  });
+  modal.querySelector('.boost-target__backdrop').addEventListener('click', closeWhatIf);
+  setupOrderList();
+}
+
+export function openWhatIf() {
+  context = loadScenarioContext();
+  scenario = defaultScenario();
+  opponent = undefined;
+
+  const race = RACE_CALENDAR.find(r => r.round === context.round);
+  document.getElementById('what-if-race').textContent = race ? `Round ${race.round} · ${race.name}` : 'Next race';
+
+  renderWhatIf();
+  const modal = document.getElementById('what-if-modal');
+  modal.removeAttribute('hidden');
+  modal.style.display = 'flex';
+  document.getElementById('what-if-close').focus();
+
+  loadH2HOpponent(context.round).then((found) => {
+    opponent = found;
+    renderOutcome();
+  });
+}
+
+export function closeWhatIf() {
+  const modal = document.getElementById('what-if-modal');
+  if (modal) {
+    modal.setAttribute('hidden', '');
+    modal.style.display = 'none';
+  }
+}
+
+// ===== Scenario Data =====
+
+// The next race to be run, with its grid once qualifying is in and earlier
+// rounds for streak bonuses
+function loadScenarioContext() {
+  const cached = loadCachedResults();
+  const { round, qualifying } = loadProjectionContext();
+  const race = RACE_CALENDAR.find(r => r.round === round);
+
+  const previousRounds = (cached.raceResults || [])
+    .filter(r => Number(r.round) < round)
+    .sort((a, b) => Number(a.round) - Number(b.round))
+    .map(r => ({
+      results: r.Results || [],
+      qualifying: (cached.qualifying || []).find(q => q.round === r.round)?.QualifyingResults || [],
+    }));
+
+  return {
+    round,
+    raceName: race?.name,
+    qualifying: qualifying || [],
+    previousRounds,
+  };
+}
+
+// Start from the grid if qualifying is in, otherwise from the projected order
+function defaultScenario() {
+  let order;
+  if (context.qualifying.length > 0) {
+    const gridOrder = [...context.qualifying]
+      .sort((a, b) => parseInt(a.position, 10) - parseInt(b.position, 10))
+      .map(q => q.Driver?.driverId);
+    order = [...gridOrder, ...DRIVERS.map(d => d.id).filter(id => !gridOrder.includes(id))];
+  } else {
+    const projection = loadRoundProjection().drivers;
+    order = DRIVERS.map(d => d.id).sort((a, b) => (projection[b]?.expected ?? 0) - (projection[a]?.expected ?? 0));
+  }
+  return { order, dnfs: [], fastestLap: null, driverOfTheDay: null };
+}
+
+// ===== Finishing Order =====
+
+function driverLabel(driverId) {
+  const driver = DRIVERS.find(d => d.id === driverId);
+  return driver ? `${driver.firstName} ${driver.lastName}` : driverId;
+}
+
+function moveDriver(driverId, toIndex) {
+  const order = scenario.order.filter(id => id !== driverId);
+  order.splice(Math.max(0, Math.min(toIndex, order.length)), 0, driverId);
+  scenario.order = order;
+  renderWhatIf();
+}
+
+function setupOrderList() {
+  const list = document.getElementById('what-if-order');
+
+  list.addEventListener('dragstart', (e) => {
+    const row = e.target.closest('[data-driver-id]');
+    if (!row) return;
+    dragId = row.dataset.driverId;
+    e.dataTransfer.effectAllowed = 'move';
+    row.classList.add('what-if-row--dragging');
+  });
+  list.addEventListener('dragend', (e) => {
+    e.target.closest('[data-driver-id]')?.classList.remove('what-if-row--dragging');
+    dragId = null;
+  });
+  list.addEventListener('dragover', (e) => {
+    if (dragId) e.preventDefault();
+  });
+  list.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const row = e.target.closest('[data-driver-id]');
+    if (!dragId || !row || row.dataset.driverId === dragId) return;
+    moveDriver(dragId, scenario.order.filter(id => id !== dragId).indexOf(row.dataset.driverId));
+  });
+
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-move]');
+    if (!btn) return;
+    const driverId = btn.closest('[data-driver-id]').dataset.driverId;
+    const index = scenario.order.indexOf(driverId);
+    moveDriver(driverId, index + (btn.dataset.move === 'up' ? -1 : 1));
+    list.querySelector(`[data-driver-id="${driverId}"] [data-move="${btn.dataset.move}"]`)?.focus();
+  });
+
+  list.addEventListener('change', (e) => {
+    const input = e.target;
+    const driverId = input.closest('[data-driver-id]')?.dataset.driverId;
+    if (!driverId) return;
+    if (input.name === 'what-if-dnf') {
+      scenario.dnfs = input.checked
+        ? [...scenario.dnfs, driverId]
+        : scenario.dnfs.filter(id => id !== driverId);
+    } else if (input.name === 'what-if-fl') {
+      scenario.fastestLap = driverId;
+    } else if (input.name === 'what-if-dotd') {
+      scenario.driverOfTheDay = driverId;
+    }
+    renderWhatIf();
+  });
+}
+
+function renderOrder() {
+  const list = document.getElementById('what-if-order');
+  const myPicks = getTeam().drivers;
+  // Retirements drop behind every finisher
+  const finishers = scenario.order.filter(id => !scenario.dnfs.includes(id));
+
+  list.innerHTML = scenario.order.map((driverId, i) => {
+    const driver = DRIVERS.find(d => d.id === driverId);
+    const isDnf = scenario.dnfs.includes(driverId);
+    const position = isDnf ? 'DNF' : `P${finishers.indexOf(driverId) + 1}`;
+    return `
+      <li class="what-if-row ${isDnf ? 'what-if-row--dnf' : ''} ${myPicks.includes(driverId) ? 'what-if-row--mine' : ''}" data-driver-id="${driverId}" draggable="true">
+        <span class="what-if-row__pos">${position}</span>
+        <span class="picker-item__color" style="background:${TEAM_COLORS[driver?.team] || 'var(--border-color)'}"></span>
+        <span class="what-if-row__name">${driverLabel(driverId)}</span>
+        <button type="button" class="what-if-row__move" data-move="up" aria-label="Move ${driverLabel(driverId)} up" ${i === 0 ? 'disabled' : ''}>&#9650;</button>
+        <button type="button" class="what-if-row__move" data-move="down" aria-label="Move ${driverLabel(driverId)} down" ${i === scenario.order.length - 1 ? 'disabled' : ''}>&#9660;</button>
+        <label title="Did not finish"><input type="checkbox" name="what-if-dnf" ${isDnf ? 'checked' : ''}> DNF</label>
+        <label title="Fastest lap"><input type="radio" name="what-if-fl" ${scenario.fastestLap === driverId ? 'checked' : ''}> FL</label>
+        <label title="Driver of the Day"><input type="radio" name="what-if-dotd" ${scenario.driverOfTheDay === driverId ? 'checked' : ''}> DOTD</label>
+      </li>
+    `;
+  }).join('');
+}
+
+// ===== Outcome =====
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
+
+function formatPts(points) {
+  return points > 0 ? `+${points}` : `${points}`;
+}
+
+function teamCard(title, score) {
+  const rows = [
+    ...Object.entries(score.driverBreakdown).map(([id, d]) =>
+      [driverLabel(id), d.total, d.multiplier > 1 ? `×${d.multiplier}` : '']),
+    ...Object.entries(score.constructorBreakdown).map(([id, c]) =>
+      [CONSTRUCTORS.find(x => x.id === id)?.name || id, c.total, '']),
+  ];
+  return `
+    <div class="what-if-team">
+      <div class="what-if-team__head"><strong>${title}</strong><span>${score.teamTotal} pts</span></div>
+      ${rows.map(([name, pts, note]) => `
+        <div class="explainer-line">
+          <span class="explainer-line__label">${name}${note ? ` <span class="explainer-line__detail">${note}</span>` : ''}</span>
+          <span class="explainer-line__pts">${formatPts(pts)}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function renderOutcome() {
+  const container = document.getElementById('what-if-outcome');
+  if (!container || !scenario) return;
+
+  const entries = [{ team: getTeam(), boosts: getBoosts() }];
+  if (opponent) entries.push({ team: opponent.team, boosts: opponent.boosts });
+  const { scores: [mine, theirs] } = simulateScenario(scenario, entries, context);
+
+  let html = teamCard('My team', mine);
+  if (theirs) {
+    html += teamCard(escapeHtml(opponent.name), theirs);
+    const margin = mine.teamTotal - theirs.teamTotal;
+    const verdict = margin > 0 ? `You'd win by ${margin}` : margin < 0 ? `You'd lose by ${-margin}` : 'It would be a draw';
+    html += `<p class="what-if-verdict what-if-verdict--${margin > 0 ? 'win' : margin < 0 ? 'loss' : 'draw'}">${verdict}</p>`;
+  } else if (opponent === undefined) {
+    html += '<p class="explainer-note">Loading your H2H opponent...</p>';
+  } else {
+    html += '<p class="explainer-note">No H2H opponent to compare against this round.</p>';
+  }
+  html += '<p class="explainer-note">Race and qualifying points only, before transfer penalties. Nothing here is saved.</p>';
+  container.innerHTML = html;
+}
+
+function renderWhatIf() {
+  renderOrder();
+  renderOutcome();
+}
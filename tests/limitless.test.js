@@ -0,0 +1,41 @@
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { limitlessRevertDue } from '../js/scoring/boosts.js';
+import { RACE_CALENDAR, getLockWindow } from '../js/config.js';
+
+const round = n => RACE_CALENDAR.find(r => r.round === n);
+const justAfter = date => new Date(date.getTime() + 1000);
+const justBefore = date => new Date(date.getTime() - 1000);
+
+test('Limitless waits for its round to be scored until the next deadline', () => {
+  const nextLock = getLockWindow(round(4)).lockAt;
+  assert.equal(limitlessRevertDue(3, justBefore(nextLock)), false);
+});
+
+test('an unscored Limitless round reverts once the next deadline passes', () => {
+  const nextLock = getLockWindow(round(4)).lockAt;
+  assert.equal(limitlessRevertDue(3, justAfter(nextLock)), true);
+  assert.equal(limitlessRevertDue('3', justAfter(nextLock)), true);
+});
+
+test('Limitless in the final round reverts once that race is over', () => {
+  const last = RACE_CALENDAR[RACE_CALENDAR.length - 1];
+  const { unlockAt } = getLockWindow(last);
+  assert.equal(limitlessRevertDue(last.round, justBefore(unlockAt)), false);
+  assert.equal(limitlessRevertDue(last.round, justAfter(unlockAt)), true);
+});
+
+test('Limitless played in a round missing from the calendar reverts', () => {
+  const calendar = RACE_CALENDAR.filter(r => r.round !== 3);
+  assert.equal(limitlessRevertDue(3, new Date(0), calendar), true);
+});
+
+test('a cancelled next round defers to the deadline of the race after it', () => {
+  const calendar = RACE_CALENDAR.filter(r => r.round !== 4);
+  const lock = getLockWindow(round(5)).lockAt;
+  assert.equal(limitlessRevertDue(3, justBefore(lock), calendar), false);
+  assert.equal(limitlessRevertDue(3, justAfter(lock), calendar), true);
+});